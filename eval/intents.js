@@ -0,0 +1,145 @@
+// Accuracy of the smart reply intent detection on the labelled messages
+// of intent-corpus.json:
+//   npm run eval:intents                 keyword rules, and the LLM
+//                                        classifier if an API key is set
+//   npm run eval:intents -- --verbose    also list the wrong answers
+// The LLM settings come from .env like in the bot (AI_PROVIDER,
+// AI_MODEL_INTENT, INTENT_MIN_CONFIDENCE); the openai and compatible
+// providers are supported.
+import { config } from "dotenv";
+import { OpenAI } from "openai";
+import fs from "fs/promises";
+import {
+  INTENTS,
+  INTENT_SYSTEM_PROMPT,
+  detectResponseType,
+  parseIntentAnswer,
+} from "../intents.js";
+
+config();
+
+const corpus = JSON.parse(
+  await fs.readFile(new URL("./intent-corpus.json", import.meta.url), "utf8")
+);
+const verbose = process.argv.includes("--verbose");
+const INTENT_MIN_CONFIDENCE =
+  parseFloat(process.env.INTENT_MIN_CONFIDENCE) || 0.6;
+
+// Client and model for the classifier, or null without credentials
+function createClassifierClient() {
+  let provider = (process.env.AI_PROVIDER || "openai").toLowerCase();
+  let model =
+    provider === "compatible"
+      ? process.env.COMPATIBLE_MODEL
+      : process.env.OPENAI_MODEL || "gpt-4o-mini";
+
+  // "model" or "provider:model", like AI_MODEL_<COMMAND> in the bot
+  const setting = process.env.AI_MODEL_INTENT;
+  if (setting) {
+    const separator = setting.indexOf(":");
+    const prefix = separator > 0 ? setting.slice(0, separator) : null;
+    if (["openai", "compatible", "anthropic"].includes(prefix)) {
+      provider = prefix;
+      model = setting.slice(separator + 1);
+    } else {
+      model = setting;
+    }
+  }
+
+  if (provider === "openai" && process.env.OPENAI_API_KEY) {
+    return {
+      model,
+      client: new OpenAI({ apiKey: process.env.OPENAI_API_KEY }),
+    };
+  }
+  if (provider === "compatible" && process.env.COMPATIBLE_BASE_URL) {
+    return {
+      model,
+      client: new OpenAI({
+        baseURL: process.env.COMPATIBLE_BASE_URL,
+        apiKey: process.env.COMPATIBLE_API_KEY || "not-needed",
+      }),
+    };
+  }
+  return null;
+}
+
+// Run `classify` on every message and print the accuracy per intent
+async function evaluate(title, classify) {
+  const stats = Object.fromEntries(
+    INTENTS.map((intent) => [intent, { total: 0, correct: 0 }])
+  );
+  const mistakes = [];
+
+  for (const { text, intent } of corpus) {
+    const predicted = await classify(text);
+    stats[intent].total += 1;
+    if (predicted === intent) {
+      stats[intent].correct += 1;
+    } else {
+      mistakes.push(`  ${intent} -> ${predicted}: ${text.slice(0, 70)}`);
+    }
+  }
+
+  const correct = corpus.length - mistakes.length;
+  const percent = (count, total) =>
+    total ? `${((count / total) * 100).toFixed(1)}%` : "-";
+
+  console.log(
+    `\n📊 ${title}: ${correct}/${corpus.length} (${percent(
+      correct,
+      corpus.length
+    )})`
+  );
+  for (const [intent, { total, correct }] of Object.entries(stats)) {
+    console.log(
+      `  ${intent.padEnd(10)} ${`${correct}/${total}`.padStart(6)}  ${percent(
+        correct,
+        total
+      )}`
+    );
+  }
+  if (verbose && mistakes.length > 0) {
+    console.log("\n❌ Wrong answers (expected -> detected):");
+    console.log(mistakes.join("\n"));
+  }
+}
+
+await evaluate("Keyword rules", async (text) => detectResponseType(text));
+
+const classifier = createClassifierClient();
+if (!classifier) {
+  console.log(
+    "\nℹ️ No OpenAI or compatible API credentials in .env, skipping the LLM classifier."
+  );
+} else {
+  let fallbacks = 0;
+  await evaluate(`LLM classifier (${classifier.model})`, async (text) => {
+    try {
+      const completion = await classifier.client.chat.completions.create({
+        model: classifier.model,
+        messages: [
+          { role: "system", content: INTENT_SYSTEM_PROMPT },
+          { role: "user", content: text },
+        ],
+        max_tokens: 50,
+        temperature: 0,
+      });
+      const result = parseIntentAnswer(
+        completion.choices[0].message.content || ""
+      );
+      if (result && result.confidence >= INTENT_MIN_CONFIDENCE) {
+        return result.intent;
+      }
+    } catch (error) {
+      console.error(`Request failed: ${error.message}`);
+    }
+
+    // The bot uses the keyword rules in these cases too
+    fallbacks += 1;
+    return detectResponseType(text);
+  });
+  console.log(
+    `  (${fallbacks} keyword fallbacks below confidence ${INTENT_MIN_CONFIDENCE} or after errors)`
+  );
+}
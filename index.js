@@ -1,10 +1,25 @@
-import { Bot, InlineKeyboard, InputFile } from "grammy";
+import { Bot, InlineKeyboard, InputFile, webhookCallback } from "grammy";
+import { run, sequentialize } from "@grammyjs/runner";
+import {
+  Counter,
+  Gauge,
+  Histogram,
+  collectDefaultMetrics,
+  register,
+} from "prom-client";
 import { config } from "dotenv";
-import { OpenAI } from "openai";
+import { OpenAI, toFile } from "openai";
 import { createServer } from "http";
+import { randomBytes } from "crypto";
 import https from "https";
 import fs from "fs/promises";
 import path from "path";
+import {
+  INTENT_SYSTEM_PROMPT,
+  detectResponseType,
+  parseIntentAnswer,
+} from "./intents.js";
+import { logger, withLogContext } from "./logger.js";
 
 // Load environment variables
 config();
@@ -14,77 +29,378 @@ if (!process.env.BOT_TOKEN) {
   throw new Error("BOT_TOKEN is required in .env file");
 }
 
-if (!process.env.OPENAI_API_KEY) {
-  throw new Error("OPENAI_API_KEY is required in .env file");
-}
-
 // Initialize the bot
 const bot = new Bot(process.env.BOT_TOKEN);
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
 const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
 
-// Data file path
+// AI provider configuration. AI_PROVIDER picks the primary provider and
+// AI_FALLBACK_PROVIDER the one used when the primary fails.
+const AI_PROVIDER_CONFIGS = {
+  // OpenAI API
+  openai: {
+    type: "openai",
+    apiKey: process.env.OPENAI_API_KEY,
+    model: OPENAI_MODEL,
+  },
+  // Any OpenAI-compatible server (Ollama, llama.cpp server, vLLM, ...)
+  compatible: {
+    type: "openai",
+    baseURL: process.env.COMPATIBLE_BASE_URL,
+    apiKey: process.env.COMPATIBLE_API_KEY || "not-needed",
+    model: process.env.COMPATIBLE_MODEL,
+  },
+  // Anthropic Messages API (or a server implementing it)
+  anthropic: {
+    type: "anthropic",
+    baseURL: process.env.ANTHROPIC_BASE_URL || "https://api.anthropic.com",
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    model: process.env.ANTHROPIC_MODEL || "claude-3-5-haiku-latest",
+  },
+};
+
+const AI_PROVIDER = (process.env.AI_PROVIDER || "openai").toLowerCase();
+const AI_FALLBACK_PROVIDER = process.env.AI_FALLBACK_PROVIDER
+  ? process.env.AI_FALLBACK_PROVIDER.toLowerCase()
+  : null;
+
+// Check if a provider has everything it needs to make requests
+function isProviderConfigured(name) {
+  const providerConfig = AI_PROVIDER_CONFIGS[name];
+  if (!providerConfig) return false;
+  if (name === "compatible") {
+    return !!(providerConfig.baseURL && providerConfig.model);
+  }
+  return !!providerConfig.apiKey;
+}
+
+for (const [role, name] of [
+  ["AI_PROVIDER", AI_PROVIDER],
+  ["AI_FALLBACK_PROVIDER", AI_FALLBACK_PROVIDER],
+]) {
+  if (name && !AI_PROVIDER_CONFIGS[name]) {
+    throw new Error(
+      `${role} must be one of: ${Object.keys(AI_PROVIDER_CONFIGS).join(", ")}`
+    );
+  }
+  if (name && !isProviderConfigured(name)) {
+    throw new Error(
+      {
+        openai: `OPENAI_API_KEY is required in .env file for ${role}=openai`,
+        compatible: `COMPATIBLE_BASE_URL and COMPATIBLE_MODEL are required in .env file for ${role}=compatible`,
+        anthropic: `ANTHROPIC_API_KEY is required in .env file for ${role}=anthropic`,
+      }[name]
+    );
+  }
+}
+
+// Storage configuration
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || "json").toLowerCase();
 const DATA_FILE_PATH = path.join(process.cwd(), "data.json");
+const SQLITE_FILE_PATH = path.join(
+  process.cwd(),
+  process.env.SQLITE_FILE || "data.db"
+);
+const DATA_SCHEMA_VERSION = 2;
+const FLUSH_DELAY_MS = 1000;
+
+// Top-level keys stored as one SQLite row per record instead of one blob
+const SQLITE_COLLECTIONS = [
+  "users",
+  "groups",
+  "conversations",
+  "tempBans",
+  "groupHistory",
+  "scheduledJobs",
+  "personas",
+];
+
+// Fresh data for a new installation
+function createInitialData() {
+  return {
+    schemaVersion: DATA_SCHEMA_VERSION,
+    users: {},
+    groups: {},
+    conversations: {},
+    tempBans: {},
+    groupHistory: {},
+    scheduledJobs: {},
+    personas: createBuiltinPersonas(),
+    bannedUsers: [],
+    bannedGroups: [],
+    superAdmin: process.env.SUPER_ADMIN,
+    statistics: {
+      totalAiRequests: 0,
+      totalInlineQueries: 0,
+      totalMessages: 0,
+      botStarted: new Date().toISOString(),
+    },
+    settings: {
+      antiSpamEnabled: true,
+      streamingEnabled: process.env.STREAM_RESPONSES === "true",
+      createdAt: new Date().toISOString(),
+      version: "1.0.0",
+    },
+  };
+}
 
-// Initialize data.json if it doesn't exist
-async function initializeDataFile() {
-  try {
-    await fs.access(DATA_FILE_PATH);
-  } catch (error) {
-    // File doesn't exist, create it
-    const initialData = {
-      users: {},
-      groups: {},
-      bannedUsers: [],
-      bannedGroups: [],
-      superAdmin: process.env.SUPER_ADMIN,
-      statistics: {
-        totalAiRequests: 0,
-        totalMessages: 0,
-        botStarted: new Date().toISOString(),
-      },
-      settings: {
-        antiSpamEnabled: true,
-        createdAt: new Date().toISOString(),
-        version: "1.0.0",
-      },
-    };
-    await fs.writeFile(DATA_FILE_PATH, JSON.stringify(initialData, null, 2));
-    console.log("📄 data.json file created");
+// Bring data written by older versions up to the current schema
+function migrateData(data) {
+  const defaults = createInitialData();
+
+  for (const [key, value] of Object.entries(defaults)) {
+    if (data[key] === undefined) data[key] = value;
   }
+  data.statistics = { ...defaults.statistics, ...data.statistics };
+  data.settings = { ...defaults.settings, ...data.settings };
+  if (!data.superAdmin) data.superAdmin = process.env.SUPER_ADMIN;
+  data.schemaVersion = DATA_SCHEMA_VERSION;
+
+  return data;
 }
 
-// Read data from JSON file
-async function readData() {
+// JSON file backend. Writes go to a temp file that is renamed over the
+// original, so a crash mid-write never leaves a truncated data.json.
+function createJsonStorage(filePath) {
+  return {
+    name: "json",
+
+    async load() {
+      let raw;
+      try {
+        raw = await fs.readFile(filePath, "utf8");
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        // Keep the broken file for inspection instead of overwriting it
+        const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+        await fs.rename(filePath, corruptPath);
+        logger.error(`❌ ${filePath} is corrupt, moved to ${corruptPath}`);
+        return null;
+      }
+    },
+
+    async save(data) {
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+      await fs.rename(tempPath, filePath);
+    },
+
+    // Check that the data file can be opened for reading and writing and
+    // that temp files can be written next to it (see save)
+    async check() {
+      const file = await fs.open(filePath, "r+");
+      await file.close();
+
+      const probePath = `${filePath}.${process.pid}.probe`;
+      await fs.writeFile(probePath, new Date().toISOString());
+      await fs.unlink(probePath);
+    },
+
+    async close() {},
+  };
+}
+
+// SQLite backend (requires the optional "better-sqlite3" package).
+// Collections are stored one record per row and only changed rows are
+// written on each flush.
+async function createSqliteStorage(filePath) {
+  let Database;
   try {
-    const data = await fs.readFile(DATA_FILE_PATH, "utf8");
-    return JSON.parse(data);
+    ({ default: Database } = await import("better-sqlite3"));
   } catch (error) {
-    console.error("Error reading data.json:", error);
-    return {
-      users: {},
-      groups: {},
-      bannedUsers: [],
-      bannedGroups: [],
-      superAdmin: process.env.SUPER_ADMIN,
-      statistics: { totalAiRequests: 0, totalMessages: 0 },
-      settings: { antiSpamEnabled: true },
-    };
+    throw new Error(
+      'STORAGE_BACKEND=sqlite requires the "better-sqlite3" package (npm install better-sqlite3)'
+    );
+  }
+
+  const db = new Database(filePath);
+  db.pragma("journal_mode = WAL");
+  db.exec(`CREATE TABLE IF NOT EXISTS records (
+    collection TEXT NOT NULL,
+    id TEXT NOT NULL,
+    value TEXT NOT NULL,
+    PRIMARY KEY (collection, id)
+  )`);
+  db.exec(`CREATE TABLE IF NOT EXISTS health (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    checked_at TEXT NOT NULL
+  )`);
+
+  const selectAll = db.prepare("SELECT collection, id, value FROM records");
+  const upsert = db.prepare(
+    `INSERT INTO records (collection, id, value) VALUES (?, ?, ?)
+     ON CONFLICT (collection, id) DO UPDATE SET value = excluded.value`
+  );
+  const remove = db.prepare(
+    "DELETE FROM records WHERE collection = ? AND id = ?"
+  );
+  const countRecords = db.prepare("SELECT COUNT(*) AS count FROM records");
+  const writeHealth = db.prepare(
+    `INSERT INTO health (id, checked_at) VALUES (1, ?)
+     ON CONFLICT (id) DO UPDATE SET checked_at = excluded.checked_at`
+  );
+
+  // Serialized rows as last written, keyed by "collection/id"
+  const savedRows = new Map();
+
+  function toRows(data) {
+    const rows = new Map();
+    for (const [key, value] of Object.entries(data)) {
+      if (SQLITE_COLLECTIONS.includes(key)) {
+        for (const [id, record] of Object.entries(value || {})) {
+          rows.set(`${key}/${id}`, [key, id, JSON.stringify(record)]);
+        }
+      } else {
+        rows.set(`_root/${key}`, ["_root", key, JSON.stringify(value)]);
+      }
+    }
+    return rows;
+  }
+
+  const writeRows = db.transaction((rows) => {
+    for (const [rowKey, row] of rows) {
+      if (savedRows.get(rowKey) !== row[2]) upsert.run(...row);
+    }
+    for (const rowKey of savedRows.keys()) {
+      if (!rows.has(rowKey)) {
+        const [collection, ...id] = rowKey.split("/");
+        remove.run(collection, id.join("/"));
+      }
+    }
+  });
+
+  return {
+    name: "sqlite",
+
+    async load() {
+      const rows = selectAll.all();
+      if (rows.length === 0) return null;
+
+      const data = {};
+      for (const { collection, id, value } of rows) {
+        if (collection === "_root") {
+          data[id] = JSON.parse(value);
+        } else {
+          if (!data[collection]) data[collection] = {};
+          data[collection][id] = JSON.parse(value);
+        }
+        savedRows.set(`${collection}/${id}`, value);
+      }
+      return data;
+    },
+
+    async save(data) {
+      const rows = toRows(data);
+      writeRows(rows);
+      savedRows.clear();
+      for (const [rowKey, row] of rows) savedRows.set(rowKey, row[2]);
+    },
+
+    // Check that the database can be read and written
+    async check() {
+      countRecords.get();
+      writeHealth.run(new Date().toISOString());
+    },
+
+    async close() {
+      db.close();
+    },
+  };
+}
+
+// Active storage backend and the in-memory copy of the data
+let storage = null;
+let dataCache = null;
+let flushTimer = null;
+let flushPromise = Promise.resolve();
+let lastFlushError = null; // Error of the last failed write, for /readyz
+
+// Open the configured backend, migrate existing data and load it into memory
+async function initializeStorage() {
+  storage =
+    STORAGE_BACKEND === "sqlite"
+      ? await createSqliteStorage(SQLITE_FILE_PATH)
+      : createJsonStorage(DATA_FILE_PATH);
+
+  let data = await storage.load();
+  let importedFromJson = false;
+
+  // First start on SQLite: import an existing data.json
+  if (!data && storage.name === "sqlite") {
+    data = await createJsonStorage(DATA_FILE_PATH).load();
+    importedFromJson = !!data;
+  }
+
+  if (!data) {
+    data = createInitialData();
+    logger.info(`📄 New ${storage.name} data store created`);
+  } else if (data.schemaVersion !== DATA_SCHEMA_VERSION) {
+    logger.info(
+      `📦 Migrating data from schema v${
+        data.schemaVersion || 1
+      } to v${DATA_SCHEMA_VERSION}`
+    );
+  }
+
+  dataCache = migrateData(data);
+  await storage.save(dataCache);
+
+  if (importedFromJson) {
+    await fs.rename(DATA_FILE_PATH, `${DATA_FILE_PATH}.migrated`);
+    logger.info(
+      `📦 data.json imported into ${SQLITE_FILE_PATH} (original kept as data.json.migrated)`
+    );
   }
 }
 
-// Write data to JSON file
-async function writeData(data) {
-  try {
-    await fs.writeFile(DATA_FILE_PATH, JSON.stringify(data, null, 2));
-  } catch (error) {
-    console.error("Error writing to data.json:", error);
+// Read data. Returns the shared in-memory copy, so it is always current;
+// use updateData() to change it.
+async function readData() {
+  return dataCache;
+}
+
+// Apply a change to the data and schedule a flush to storage.
+// The mutator runs synchronously, so concurrent updates can't interleave
+// and overwrite each other. Returns whatever the mutator returns.
+async function updateData(mutator) {
+  const result = mutator(dataCache);
+  scheduleFlush();
+  return result;
+}
+
+// Debounced write of the in-memory data to storage
+function scheduleFlush() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushData();
+  }, FLUSH_DELAY_MS);
+}
+
+// Write pending changes now (flushes never overlap)
+function flushData() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
   }
+
+  flushPromise = flushPromise
+    .then(() => storage && storage.save(dataCache))
+    .then(() => {
+      lastFlushError = null;
+    })
+    .catch((error) => {
+      lastFlushError = error;
+      logger.error(`Error writing to ${storage.name} storage:`, error);
+      scheduleFlush(); // Retry later, the data is still in memory
+    });
+  return flushPromise;
 }
 
 // Check if user is super admin
@@ -95,83 +411,100 @@ function isSuperAdmin(userId, data) {
 // Save or update user information
 async function saveUserInfo(userId, userInfo, isAiRequest = false) {
   try {
-    const data = await readData();
+    return await updateData((data) => {
+      // Check if user is banned
+      if (data.bannedUsers.includes(userId.toString())) {
+        return false; // User is banned
+      }
 
-    // Check if user is banned
-    if (data.bannedUsers.includes(userId.toString())) {
-      return false; // User is banned
-    }
+      if (!data.users[userId]) {
+        data.users[userId] = {
+          id: userId,
+          firstName: userInfo.first_name || "",
+          lastName: userInfo.last_name || "",
+          username: userInfo.username || "",
+          joinedAt: new Date().toISOString(),
+          messageCount: 1,
+          lastActivity: new Date().toISOString(),
+          isBlocked: false,
+          aiRequests: isAiRequest ? 1 : 0,
+        };
+      } else {
+        // Update existing user
+        data.users[userId].messageCount += 1;
+        data.users[userId].lastActivity = new Date().toISOString();
+        if (isAiRequest) data.users[userId].aiRequests += 1;
+        if (userInfo.first_name)
+          data.users[userId].firstName = userInfo.first_name;
+        if (userInfo.last_name)
+          data.users[userId].lastName = userInfo.last_name;
+        if (userInfo.username) data.users[userId].username = userInfo.username;
+      }
 
-    if (!data.users[userId]) {
-      data.users[userId] = {
-        id: userId,
-        firstName: userInfo.first_name || "",
-        lastName: userInfo.last_name || "",
-        username: userInfo.username || "",
-        joinedAt: new Date().toISOString(),
-        messageCount: 1,
-        lastActivity: new Date().toISOString(),
-        isBlocked: false,
-        aiRequests: isAiRequest ? 1 : 0,
-      };
-    } else {
-      // Update existing user
-      data.users[userId].messageCount += 1;
-      data.users[userId].lastActivity = new Date().toISOString();
-      if (isAiRequest) data.users[userId].aiRequests += 1;
-      if (userInfo.first_name)
-        data.users[userId].firstName = userInfo.first_name;
-      if (userInfo.last_name) data.users[userId].lastName = userInfo.last_name;
-      if (userInfo.username) data.users[userId].username = userInfo.username;
-    }
-
-    // Update statistics
-    data.statistics.totalMessages += 1;
-    if (isAiRequest) data.statistics.totalAiRequests += 1;
-
-    await writeData(data);
-    return true; // User is not banned
+      // Update statistics
+      data.statistics.totalMessages += 1;
+      if (isAiRequest) data.statistics.totalAiRequests += 1;
+
+      return true; // User is not banned
+    });
   } catch (error) {
-    console.error("Error saving user info:", error);
+    logger.error("Error saving user info:", error);
     return true; // Allow on error
   }
 }
 
+// Tell a banned user their request is rejected. Only actual requests are
+// counted in bot_banned_rejections_total, not every message they send.
+function replyBanned(ctx) {
+  banRejectionCounter.inc({ ban: "permanent" });
+  return ctx.reply(ctx.t("common.banned"));
+}
+
 // Save group information
 async function saveGroupInfo(groupId, groupInfo) {
   try {
-    const data = await readData();
-
-    // Check if group is banned
-    if (data.bannedGroups.includes(groupId.toString())) {
-      return false; // Group is banned
-    }
+    return await updateData((data) => {
+      // Check if group is banned
+      if (data.bannedGroups.includes(groupId.toString())) {
+        return false; // Group is banned
+      }
 
-    if (!data.groups[groupId]) {
-      data.groups[groupId] = {
-        id: groupId,
-        title: groupInfo.title || "",
-        type: groupInfo.type || "",
-        joinedAt: new Date().toISOString(),
-        messageCount: 1,
-        lastActivity: new Date().toISOString(),
-      };
-    } else {
-      data.groups[groupId].messageCount += 1;
-      data.groups[groupId].lastActivity = new Date().toISOString();
-      if (groupInfo.title) data.groups[groupId].title = groupInfo.title;
-    }
+      if (!data.groups[groupId]) {
+        data.groups[groupId] = {
+          id: groupId,
+          title: groupInfo.title || "",
+          type: groupInfo.type || "",
+          joinedAt: new Date().toISOString(),
+          messageCount: 1,
+          lastActivity: new Date().toISOString(),
+        };
+      } else {
+        data.groups[groupId].messageCount += 1;
+        data.groups[groupId].lastActivity = new Date().toISOString();
+        if (groupInfo.title) data.groups[groupId].title = groupInfo.title;
+      }
 
-    await writeData(data);
-    return true;
+      return true;
+    });
   } catch (error) {
-    console.error("Error saving group info:", error);
+    logger.error("Error saving group info:", error);
     return true;
   }
 }
 
-// System prompt for the AI assistant
-const SYSTEM_PROMPT = `You are an AI assistant working inside a Telegram bot. 
+// Prompts of a persona: "system" for the commands, "talk" for casual
+// conversation, "find" and "agent" for plain messages detected as a
+// question or a request (see detectResponseType). "style" is added to
+// every prompt. Prompts can use the variables of getPromptVariables.
+const PERSONA_PROMPTS = ["system", "talk", "find", "agent", "style"];
+
+// Personas created on the first start. The default persona has all the
+// main prompts; other personas use them for the prompts they leave out.
+const BUILTIN_PERSONAS = {
+  default: {
+    name: "🤖 Default",
+    prompts: {
+      system: `You are an AI assistant working inside a Telegram bot. 
 You must handle the following commands:
 
 1. /find [text] → Provide short, clear answers.
@@ -184,10 +517,8 @@ You must handle the following commands:
 Rules:
 - Always reply in the same language as the command unless translation is requested.
 - Keep responses concise and user-friendly.
-- Do not add unnecessary disclaimers or instructions.`;
-
-// System prompt specifically for casual conversation
-const TALK_SYSTEM_PROMPT = `You are a friendly AI assistant in a Telegram bot. You're having a casual conversation with the user. Be natural, warm, and engaging. You can:
+- Do not add unnecessary disclaimers or instructions.`,
+      talk: `You are a friendly AI assistant in a Telegram bot. You're having a casual conversation with the user. Be natural, warm, and engaging. You can:
 
 - Make jokes and use humor appropriately
 - Ask follow-up questions to keep conversations flowing
@@ -197,988 +528,5915 @@ const TALK_SYSTEM_PROMPT = `You are a friendly AI assistant in a Telegram bot. Y
 - Respond to greetings warmly
 - Engage in small talk naturally
 
-Be conversational but helpful. Keep responses reasonably concise but feel free to be more expressive than in other commands.`;
+Be conversational but helpful. Keep responses reasonably concise but feel free to be more expressive than in other commands.`,
+      find: `You are an AI assistant providing concise, informative answers. Respond in 2-5 sentences with clear, helpful information. Keep it brief but complete.`,
+      agent: `You are a smart assistant providing detailed step-by-step solutions, suggestions, and comprehensive help. Be thorough, organized, and provide actionable advice.`,
+    },
+  },
+  friendly: {
+    name: "😊 Friendly",
+    prompts: {
+      style: "Be warm, casual and upbeat. Light humor and emojis are welcome.",
+    },
+  },
+  professional: {
+    name: "💼 Professional",
+    prompts: {
+      style: "Be formal, precise and professional. Avoid slang and emojis.",
+    },
+  },
+  concise: {
+    name: "✂️ Concise",
+    prompts: { style: "Be as brief as possible: short sentences, no filler." },
+  },
+  teacher: {
+    name: "🎓 Teacher",
+    prompts: {
+      style:
+        "Explain like a patient teacher: step by step, with simple examples.",
+    },
+  },
+};
+
+// Earlier versions kept per persona
+const PERSONA_HISTORY_LIMIT = 20;
+
+// Version 1 of the built-in personas for a new data store
+function createBuiltinPersonas() {
+  const now = new Date().toISOString();
+  return Object.fromEntries(
+    Object.entries(BUILTIN_PERSONAS).map(([key, persona]) => [
+      key,
+      {
+        name: persona.name,
+        prompts: { ...persona.prompts },
+        version: 1,
+        updatedAt: now,
+        updatedBy: null,
+        history: [],
+      },
+    ])
+  );
+}
 
-// Helper function to call OpenAI API
-async function callOpenAI(prompt, systemPrompt = SYSTEM_PROMPT) {
-  try {
-    const response = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: prompt },
-      ],
-      max_tokens: 1000,
-      temperature: 0.7,
-    });
+// Persona keys: lowercase letters, digits and underscores. Names of
+// Object properties like "constructor" or "__proto__" can't be used.
+const PERSONA_KEY_PATTERN = /^[a-z0-9_]{2,32}$/;
 
-    return (
-      response.choices[0]?.message?.content?.trim() || "No response generated"
-    );
-  } catch (error) {
-    console.error("OpenAI API Error:", error);
-    throw new Error("AI service temporarily unavailable");
-  }
+function isValidPersonaKey(key) {
+  return PERSONA_KEY_PATTERN.test(key) && !(key in Object.prototype);
 }
 
-// Helper function to detect response type from user text
-function detectResponseType(text) {
-  const lowerText = text.toLowerCase().trim();
-
-  // Question indicators for /find behavior
-  const questionPatterns = [
-    /\b(how|why|what|when|where|which|who)\b/,
-    /\?/,
-    /\b(explain|define|meaning of|difference between)\b/,
-    /\b(is|are|does|do|can|could|would|will)\s+.+\?/,
-    /\b(tell me about|show me)\b/,
-  ];
+// Whether a persona exists, without matching inherited properties
+function hasPersona(data, key) {
+  return isValidPersonaKey(key) && Object.hasOwn(data.personas, key);
+}
 
-  // Instructional/task indicators for /agent behavior
-  const agentPatterns = [
-    /\b(help me|assist me|guide me)\b/,
-    /\b(create|make|build|develop|design)\b/,
-    /\b(plan|strategy|steps|process)\b/,
-    /\b(suggest|recommend|advise)\b/,
-    /\b(solve|fix|improve|optimize)\b/,
-    /\b(prepare|organize|structure)\b/,
-    /\b(add|include|extend|expand)\b/,
-    /\b(teach|learn|study|practice)\b/,
-  ];
+// Store a new version of a persona (creating it if needed) and keep the
+// current one in its history. Call inside updateData.
+function savePersonaVersion(data, key, changes, userId) {
+  const now = new Date().toISOString();
+  const persona = hasPersona(data, key) && data.personas[key];
+
+  if (!persona) {
+    data.personas[key] = {
+      name: key,
+      prompts: {},
+      ...changes,
+      version: 1,
+      updatedAt: now,
+      updatedBy: userId,
+      history: [],
+    };
+    return data.personas[key];
+  }
 
-  // Casual conversation indicators for /talk behavior
-  const talkPatterns = [
-    /\b(hi|hello|hey|yo|sup|greetings)\b/,
-    /\b(good|great|awesome|nice|cool|amazing)\b/,
-    /\b(thanks|thank you|thx)\b/,
-    /\b(sorry|sad|happy|excited|tired|stressed)\b/,
-    /\b(lol|haha|😄|😂|🤣|😊|😢|😭|🙄)\b/,
-    /\b(joke|funny|boring|interesting)\b/,
-    /\b(not so good|feeling|mood|day going)\b/,
-    /\b(bye|goodbye|see you|later|night)\b/,
-  ];
+  const { history = [], ...previous } = persona;
+  data.personas[key] = {
+    ...persona,
+    ...changes,
+    version: persona.version + 1,
+    updatedAt: now,
+    updatedBy: userId,
+    history: [...history, previous].slice(-PERSONA_HISTORY_LIMIT),
+  };
+  return data.personas[key];
+}
 
-  // Check for agent patterns first (more specific)
-  for (const pattern of agentPatterns) {
-    if (pattern.test(lowerText)) {
-      return "agent";
-    }
+// Persona used in a chat: the one group admins chose in /settings, or
+// in private chats and inline queries the one the user picked with
+// /persona use. Personas that were deleted fall back to the default one.
+function getPersonaKey(data, ctx) {
+  const chat = ctx && ctx.chat;
+  let key = "default";
+
+  if (chat && chat.type !== "private") {
+    key = getGroupSettings(data.groups[chat.id]).persona;
+  } else if (ctx && ctx.from) {
+    const user = data.users[ctx.from.id];
+    key = (user && user.persona) || key;
   }
 
-  // Then check for question patterns
-  for (const pattern of questionPatterns) {
-    if (pattern.test(lowerText)) {
-      return "find";
-    }
-  }
+  return hasPersona(data, key) ? key : "default";
+}
 
-  // Finally check for casual patterns
-  for (const pattern of talkPatterns) {
-    if (pattern.test(lowerText)) {
-      return "talk";
-    }
-  }
+// Prompts of a persona, completed with those of the default persona
+function getPersonaPrompts(data, key) {
+  return {
+    ...BUILTIN_PERSONAS.default.prompts,
+    ...(data.personas.default && data.personas.default.prompts),
+    ...(hasPersona(data, key) && data.personas[key].prompts),
+  };
+}
 
-  // Default fallback: if text is short and conversational, treat as talk
-  if (lowerText.length < 50 && !lowerText.includes(".")) {
-    return "talk";
-  }
+function getPersonaName(data, key) {
+  const persona = hasPersona(data, key)
+    ? data.personas[key]
+    : data.personas.default;
+  return persona.name;
+}
 
-  // If it has multiple sentences or complex structure, treat as find
-  return "find";
+// Template variables of the prompts: {name} and {username} of the user,
+// {chat} title, and the current {date} and {time} (UTC)
+function getPromptVariables(ctx, data) {
+  const from = (ctx && ctx.from) || {};
+  const chat = (ctx && ctx.chat) || {};
+  const group = data.groups[chat.id];
+  const now = new Date().toISOString();
+
+  return {
+    name: [from.first_name, from.last_name].filter(Boolean).join(" "),
+    username: from.username ? `@${from.username}` : "",
+    chat: chat.title || (group && group.title) || "private chat",
+    date: now.slice(0, 10),
+    time: `${now.slice(11, 16)} UTC`,
+  };
 }
 
-// Helper function to handle smart responses with context
-async function handleSmartResponse(ctx, userText, originalContext = null) {
-  const responseType = detectResponseType(userText);
+// Replace the {variables} of a prompt, unknown ones are kept as they are
+function renderPromptTemplate(template, variables) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in variables ? variables[name] : placeholder
+  );
+}
 
-  let systemPrompt;
-  let responsePrompt = userText;
+// Put images next to the text of the last (user) message
+function attachImages(messages, imageParts) {
+  if (imageParts.length === 0) return messages;
+  const last = messages[messages.length - 1];
+  return [
+    ...messages.slice(0, -1),
+    { ...last, content: [{ type: "text", text: last.content }, ...imageParts] },
+  ];
+}
 
-  // Add original context if this is a reply
-  if (originalContext) {
-    responsePrompt = `Previous context: "${originalContext}"\n\nUser's follow-up: ${userText}`;
-  }
+// OpenAI and OpenAI-compatible chat completions provider
+function createOpenAIProvider(name, providerConfig) {
+  const client = new OpenAI({
+    apiKey: providerConfig.apiKey,
+    baseURL: providerConfig.baseURL,
+    maxRetries: 0, // Retries are handled by callOpenAI
+  });
 
-  switch (responseType) {
-    case "find":
-      systemPrompt = `You are an AI assistant providing concise, informative answers. Respond in 2-5 sentences with clear, helpful information. Keep it brief but complete.`;
-      break;
+  return {
+    name,
+    defaultModel: providerConfig.model,
+
+    async complete({
+      model,
+      system,
+      messages,
+      maxTokens,
+      temperature,
+      images = [],
+      onPartial,
+      signal,
+    }) {
+      const request = {
+        model,
+        messages: [
+          { role: "system", content: system },
+          ...attachImages(
+            messages,
+            images.map((image) => ({
+              type: "image_url",
+              image_url: { url: `data:${image.mimeType};base64,${image.data}` },
+            }))
+          ),
+        ],
+        max_tokens: maxTokens,
+        temperature,
+      };
 
-    case "agent":
-      systemPrompt = `You are a smart assistant providing detailed step-by-step solutions, suggestions, and comprehensive help. Be thorough, organized, and provide actionable advice.`;
-      break;
+      if (!onPartial) {
+        const response = await client.chat.completions.create(request, {
+          signal,
+        });
+        return {
+          content: response.choices[0]?.message?.content || "",
+          model: response.model || model,
+          usage: response.usage,
+          finishReason: response.choices[0]?.finish_reason,
+        };
+      }
 
-    case "talk":
-    default:
-      systemPrompt = TALK_SYSTEM_PROMPT;
-      break;
-  }
+      const stream = await client.chat.completions.create(
+        { ...request, stream: true, stream_options: { include_usage: true } },
+        { signal }
+      );
+
+      let content = "";
+      let usage = null;
+      let responseModel = model;
+      let finishReason = null;
+      for await (const chunk of stream) {
+        if (chunk.model) responseModel = chunk.model;
+        if (chunk.usage) usage = chunk.usage;
+        if (chunk.choices[0]?.finish_reason) {
+          finishReason = chunk.choices[0].finish_reason;
+        }
 
-  try {
-    // Check if user is banned before processing AI request
-    const userAllowed = await saveUserInfo(
-      ctx.message.from.id,
-      ctx.message.from,
-      true
-    );
-    if (!userAllowed) {
-      return false; // User is banned
-    }
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onPartial(content);
+        }
+      }
 
-    // Show typing indicator
-    await ctx.replyWithChatAction("typing");
+      return { content, model: responseModel, usage, finishReason };
+    },
+  };
+}
 
-    const response = await callOpenAI(responsePrompt, systemPrompt);
+// Anthropic Messages API provider (plain fetch, no SDK needed)
+function createAnthropicProvider(name, providerConfig) {
+  async function post(body, signal) {
+    const response = await fetch(`${providerConfig.baseURL}/v1/messages`, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "x-api-key": providerConfig.apiKey,
+        "anthropic-version": "2023-06-01",
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
 
-    // Reply to the user's message in groups, direct reply in private chats
-    if (ctx.chat.type === "group" || ctx.chat.type === "supergroup") {
-      await ctx.reply(response, {
-        reply_to_message_id: ctx.message.message_id,
-      });
-    } else {
-      await ctx.reply(response);
+    if (!response.ok) {
+      const details = await response.text();
+      const error = new Error(
+        `Anthropic API error ${response.status}: ${details.slice(0, 500)}`
+      );
+      error.status = response.status;
+      error.headers = Object.fromEntries(response.headers);
+      try {
+        error.type = JSON.parse(details).error?.type;
+      } catch {
+        // Not a JSON error body
+      }
+      throw error;
     }
 
-    return true;
-  } catch (error) {
-    console.error("Error in smart response:", error);
-    await ctx.reply("⚠️ Error: Something went wrong, please try again later.");
-    return false;
+    return response;
   }
-}
 
-// Error handling middleware
-bot.catch((err) => {
-  const ctx = err.ctx;
-  console.error(`Error while handling update ${ctx.update.update_id}:`);
-  console.error(err.error);
-  ctx.reply("⚠️ Error: Something went wrong, please try again later.");
-});
+  // Convert usage to the OpenAI shape used for accounting
+  const toUsage = (usage) => ({
+    prompt_tokens: usage.input_tokens || 0,
+    completion_tokens: usage.output_tokens || 0,
+  });
 
-// Admin panel functions
-function createMainAdminKeyboard() {
-  return new InlineKeyboard()
-    .text("📊 Statistics", "admin_stats")
-    .text("👥 Users", "admin_users")
-    .row()
-    .text("🚫 Banned Users", "admin_banned_users")
-    .text("🚫 Banned Groups", "admin_banned_groups")
-    .row()
-    .text("⚙️ Settings", "admin_settings")
-    .text("📥 Download Data", "admin_download")
-    .row()
-    .text("🔄 Refresh", "admin_refresh");
-}
+  return {
+    name,
+    defaultModel: providerConfig.model,
+
+    async complete({
+      model,
+      system,
+      messages,
+      maxTokens,
+      temperature,
+      images = [],
+      onPartial,
+      signal,
+    }) {
+      // The conversation must start with a user turn, so earlier bot
+      // messages (e.g. a replied-to answer) move into the system prompt.
+      // The array is copied: retries and fallbacks reuse the caller's one.
+      const turns = [
+        ...attachImages(
+          messages,
+          images.map((image) => ({
+            type: "image",
+            source: {
+              type: "base64",
+              media_type: image.mimeType,
+              data: image.data,
+            },
+          }))
+        ),
+      ];
+      let systemPrompt = system;
+      while (turns.length > 0 && turns[0].role !== "user") {
+        systemPrompt += `\n\nYour previous message: ${turns.shift().content}`;
+      }
 
-function createUserListKeyboard(users, page = 0, itemsPerPage = 5) {
-  const keyboard = new InlineKeyboard();
-  const startIndex = page * itemsPerPage;
-  const endIndex = startIndex + itemsPerPage;
-  const paginatedUsers = users.slice(startIndex, endIndex);
+      const body = {
+        model,
+        system: systemPrompt,
+        messages: turns,
+        max_tokens: maxTokens,
+        temperature,
+      };
 
-  paginatedUsers.forEach((user, index) => {
-    const userText = `${user.firstName} ${user.lastName || ""} (@${
-      user.username || "no_username"
-    })`;
-    keyboard.text(userText, `user_${user.id}`).row();
-  });
+      if (!onPartial) {
+        const result = await (await post(body, signal)).json();
+        return {
+          content: result.content
+            .filter((block) => block.type === "text")
+            .map((block) => block.text)
+            .join(""),
+          model: result.model || model,
+          usage: toUsage(result.usage || {}),
+          finishReason: result.stop_reason,
+        };
+      }
 
-  // Navigation buttons
-  const navRow = [];
-  if (page > 0) {
-    navRow.push(keyboard.text("⬅️ Previous", `users_page_${page - 1}`));
-  }
-  if (endIndex < users.length) {
-    navRow.push(keyboard.text("Next ➡️", `users_page_${page + 1}`));
-  }
-  if (navRow.length > 0) keyboard.row();
+      // Parse the server-sent events of a streamed response
+      const response = await post({ ...body, stream: true }, signal);
+      const decoder = new TextDecoder();
+      let buffer = "";
+      let content = "";
+      let responseModel = model;
+      let finishReason = null;
+      const usage = { input_tokens: 0, output_tokens: 0 };
+
+      for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const events = buffer.split("\n\n");
+        buffer = events.pop();
+
+        for (const event of events) {
+          const dataLine = event
+            .split("\n")
+            .find((line) => line.startsWith("data:"));
+          if (!dataLine) continue;
+
+          const payload = JSON.parse(dataLine.slice(5));
+          if (payload.type === "message_start") {
+            responseModel = payload.message.model || model;
+            Object.assign(usage, payload.message.usage);
+          } else if (payload.type === "message_delta") {
+            if (payload.usage)
+              usage.output_tokens = payload.usage.output_tokens;
+            finishReason = payload.delta?.stop_reason || finishReason;
+          } else if (
+            payload.type === "content_block_delta" &&
+            payload.delta.type === "text_delta"
+          ) {
+            content += payload.delta.text;
+            onPartial(content);
+          } else if (payload.type === "error") {
+            const error = new Error(
+              `Anthropic stream error: ${payload.error.message}`
+            );
+            error.type = payload.error.type;
+            throw error;
+          }
+        }
+      }
 
-  keyboard.text("🔙 Back to Admin", "admin_main");
-  return keyboard;
+      return {
+        content,
+        model: responseModel,
+        usage: toUsage(usage),
+        finishReason,
+      };
+    },
+  };
 }
 
-function createUserActionKeyboard(userId, isBlocked = false) {
-  const keyboard = new InlineKeyboard();
+// Provider instances, created on first use
+const aiProviders = {};
 
-  if (isBlocked) {
-    keyboard.text("🔓 Unblock User", `unblock_user_${userId}`);
-  } else {
-    keyboard.text("🔒 Block User", `block_user_${userId}`);
+function getAIProvider(name) {
+  if (!aiProviders[name]) {
+    const providerConfig = AI_PROVIDER_CONFIGS[name];
+    aiProviders[name] =
+      providerConfig.type === "anthropic"
+        ? createAnthropicProvider(name, providerConfig)
+        : createOpenAIProvider(name, providerConfig);
   }
+  return aiProviders[name];
+}
 
-  keyboard
-    .row()
-    .text("📊 User Stats", `user_stats_${userId}`)
-    .text("🔙 Back to Users", "admin_users");
+// Pick the provider and model for a command. AI_MODEL_<COMMAND> can set
+// a model ("gpt-4o") or pin a provider too ("anthropic:claude-3-5-haiku-latest").
+function resolveCommandModel(command) {
+  const setting = command && process.env[`AI_MODEL_${command.toUpperCase()}`];
 
-  return keyboard;
+  if (setting) {
+    const separator = setting.indexOf(":");
+    const prefix = separator > 0 ? setting.slice(0, separator) : null;
+    if (prefix && AI_PROVIDER_CONFIGS[prefix]) {
+      return { provider: prefix, model: setting.slice(separator + 1) };
+    }
+    // Model names like "llama3.1:8b" contain colons too
+    return { provider: AI_PROVIDER, model: setting };
+  }
+
+  return {
+    provider: AI_PROVIDER,
+    model: AI_PROVIDER_CONFIGS[AI_PROVIDER].model,
+  };
 }
 
-// Admin command
-bot.command("admin", async (ctx) => {
-  try {
-    const data = await readData();
+// AI request retry settings
+const AI_REQUEST_TIMEOUT_MS =
+  parseInt(process.env.AI_REQUEST_TIMEOUT_MS) || 60 * 1000;
+const AI_MAX_RETRIES = Math.max(
+  0,
+  parseInt(process.env.AI_MAX_RETRIES ?? 3) || 0
+);
+const AI_RETRY_BASE_DELAY_MS = 1000;
+const AI_RETRY_MAX_DELAY_MS = 30 * 1000;
+
+// Error thrown by callOpenAI. `type` is one of: rate_limit,
+// context_too_long, content_filtered, auth, timeout, unavailable.
+class AIServiceError extends Error {
+  constructor(type, message, options) {
+    super(message, options);
+    this.name = "AIServiceError";
+    this.type = type;
+  }
+}
 
-    if (!isSuperAdmin(ctx.message.from.id, data)) {
-      return ctx.reply("❌ You are not authorized to use this command!");
-    }
+// Statuses worth retrying (529 is Anthropic's "overloaded")
+const RETRYABLE_STATUSES = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
 
-    const users = Object.values(data.users);
-    const totalUsers = users.length;
-    const totalAiRequests = data.statistics.totalAiRequests || 0;
-    const totalMessages = data.statistics.totalMessages || 0;
-    const bannedUsersCount = data.bannedUsers.length;
-    const bannedGroupsCount = data.bannedGroups.length;
+// Work out what kind of failure a provider error is and whether
+// trying again could help
+function classifyAIError(error, timedOut = false) {
+  if (error instanceof AIServiceError) {
+    return { type: error.type, retryable: false };
+  }
+  if (timedOut) {
+    return { type: "timeout", retryable: true };
+  }
 
-    // Get active users (last 24 hours)
-    const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-    const activeUsers = users.filter(
-      (user) => new Date(user.lastActivity) > dayAgo
-    ).length;
+  const status = error.status;
+  const code = error.code || error.error?.code || error.type;
+  const message = String(error.message || "");
 
-    const currentTime = new Date().toLocaleTimeString();
-    const adminMessage = `🔧 **Super Admin Panel**
+  if (status === 401 || status === 403 || code === "authentication_error") {
+    return { type: "auth", retryable: false };
+  }
+  if (code === "insufficient_quota") {
+    // Billing problem on the provider account, retrying won't help
+    return { type: "auth", retryable: false };
+  }
+  if (status === 429 || code === "rate_limit_error") {
+    return { type: "rate_limit", retryable: true };
+  }
+  if (
+    code === "context_length_exceeded" ||
+    /context length|context window|prompt is too long|too many tokens/i.test(
+      message
+    )
+  ) {
+    return { type: "context_too_long", retryable: false };
+  }
+  if (
+    code === "content_filter" ||
+    code === "content_policy_violation" ||
+    /content (management )?policy|content filter/i.test(message)
+  ) {
+    return { type: "content_filtered", retryable: false };
+  }
+  if (
+    RETRYABLE_STATUSES.has(status) ||
+    code === "overloaded_error" ||
+    code === "api_error" ||
+    // Network failures have no HTTP status
+    status === undefined
+  ) {
+    return { type: "unavailable", retryable: true };
+  }
 
-📊 **Statistics:**
-👥 Total Users: **${totalUsers}**
-🤖 Total AI Requests: **${totalAiRequests}**
-💬 Total Messages: **${totalMessages}**
-🔥 Active Users (24h): **${activeUsers}**
+  return { type: "unavailable", retryable: false };
+}
 
-🚫 **Moderation:**
-❌ Banned Users: **${bannedUsersCount}**
-❌ Banned Groups: **${bannedGroupsCount}**
+// Read the Retry-After header of a provider error, in milliseconds
+function getRetryAfterMs(error) {
+  const headers = error.headers;
+  if (!headers) return null;
+  const getHeader = (header) =>
+    typeof headers.get === "function" ? headers.get(header) : headers[header];
 
-🤖 Bot Started: ${new Date(data.statistics.botStarted).toLocaleString()}
-🔄 Opened at: ${currentTime}`;
+  const retryAfterMs = parseFloat(getHeader("retry-after-ms"));
+  if (retryAfterMs >= 0) return retryAfterMs;
 
-    await ctx.reply(adminMessage, {
-      reply_markup: createMainAdminKeyboard(),
-      parse_mode: "Markdown",
-    });
-  } catch (error) {
-    console.error("Error in admin command:", error);
-    ctx.reply("❌ Error loading admin panel.");
-  }
-});
+  const retryAfter = getHeader("retry-after");
+  if (!retryAfter) return null;
 
-// Handle admin callback queries
-bot.callbackQuery(/^admin_/, async (ctx) => {
-  try {
-    const data = await readData();
+  const seconds = parseFloat(retryAfter);
+  if (seconds >= 0) return seconds * 1000;
 
-    if (!isSuperAdmin(ctx.callbackQuery.from.id, data)) {
-      return ctx.answerCallbackQuery("❌ Unauthorized!");
-    }
+  // HTTP date form
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
 
-    const action = ctx.callbackQuery.data;
+// Delay before retry number `retry` (0-based): exponential backoff with
+// jitter, unless the provider told us how long to wait
+function getRetryDelay(error, retry) {
+  const retryAfter = getRetryAfterMs(error);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, AI_RETRY_MAX_DELAY_MS);
+  }
 
-    switch (action) {
-      case "admin_stats":
-        const users = Object.values(data.users);
-        const groups = Object.values(data.groups);
+  const backoff = Math.min(
+    AI_RETRY_BASE_DELAY_MS * 2 ** retry,
+    AI_RETRY_MAX_DELAY_MS
+  );
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
 
-        const statsMessage = `📊 **Detailed Statistics**
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-👥 **Users:**
-• Total: ${users.length}
-• Active (7d): ${
-          users.filter(
-            (u) =>
-              new Date(u.lastActivity) >
-              new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
-          ).length
-        }
-• Active (30d): ${
-          users.filter(
-            (u) =>
-              new Date(u.lastActivity) >
-              new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
-          ).length
-        }
+// Run a provider request with a timeout, retrying transient failures.
+// Throws an AIServiceError once the request can't succeed.
+async function requestWithRetries(provider, request) {
+  for (let retry = 0; ; retry++) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), AI_REQUEST_TIMEOUT_MS);
 
-🏘️ **Groups:**
-• Total: ${groups.length}
-• Active (7d): ${
-          groups.filter(
-            (g) =>
-              new Date(g.lastActivity) >
-              new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
-          ).length
-        }
+    try {
+      const result = await provider.complete({
+        ...request,
+        signal: controller.signal,
+      });
 
-🤖 **AI Usage:**
-• Total Requests: ${data.statistics.totalAiRequests}
-• Total Messages: ${data.statistics.totalMessages}
-• Average per User: ${
-          users.length > 0
-            ? (data.statistics.totalAiRequests / users.length).toFixed(2)
-            : 0
-        }`;
+      // Some providers stop with an empty answer instead of an error
+      if (
+        !result.content.trim() &&
+        ["content_filter", "refusal"].includes(result.finishReason)
+      ) {
+        throw new AIServiceError(
+          "content_filtered",
+          `Response blocked by ${provider.name} content filter`
+        );
+      }
 
-        await ctx.editMessageText(statsMessage, {
-          reply_markup: new InlineKeyboard().text("🔙 Back", "admin_refresh"),
-          parse_mode: "Markdown",
-        });
-        break;
+      return result;
+    } catch (error) {
+      const { type, retryable } = classifyAIError(
+        error,
+        controller.signal.aborted
+      );
+
+      if (!retryable || retry >= AI_MAX_RETRIES) {
+        throw error instanceof AIServiceError
+          ? error
+          : new AIServiceError(type, error.message, { cause: error });
+      }
 
-      case "admin_users":
-        const allUsers = Object.values(data.users);
-        if (allUsers.length === 0) {
-          await ctx.editMessageText("👥 No users found.", {
-            reply_markup: new InlineKeyboard().text("🔙 Back", "admin_refresh"),
-          });
-        } else {
-          await ctx.editMessageText(
-            `👥 **Users (${allUsers.length} total)**\n\nSelect a user to manage:`,
-            {
-              reply_markup: createUserListKeyboard(allUsers, 0),
-              parse_mode: "Markdown",
-            }
-          );
-        }
-        break;
+      const delay = getRetryDelay(error, retry);
+      logger.warn(
+        `⏳ AI provider "${provider.name}" ${type} error (${
+          error.message
+        }), retry ${retry + 1}/${AI_MAX_RETRIES} in ${Math.round(delay)}ms`
+      );
+      await sleep(delay);
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+}
 
-      case "admin_banned_users":
-        const bannedUsers = data.bannedUsers.map((id) => {
-          const user = data.users[id];
-          return user
-            ? `${user.firstName} ${user.lastName || ""} (@${
-                user.username || id
-              })`
-            : `ID: ${id}`;
-        });
+// Prometheus metrics, served on /metrics of the HTTP server
+collectDefaultMetrics();
 
-        const bannedMessage =
-          bannedUsers.length > 0
-            ? `🚫 **Banned Users (${
-                bannedUsers.length
-              }):**\n\n${bannedUsers.join("\n")}`
-            : "✅ No banned users.";
+const updateCounter = new Counter({
+  name: "bot_updates_total",
+  help: "Telegram updates received, by update type",
+  labelNames: ["type"],
+});
+const commandCounter = new Counter({
+  name: "bot_commands_total",
+  help: "Bot commands invoked (unknown commands count as other)",
+  labelNames: ["command"],
+});
+const aiLatencyHistogram = new Histogram({
+  name: "bot_ai_request_duration_seconds",
+  help: "Duration of AI requests including retries, by command and model",
+  labelNames: ["command", "model", "status"],
+  buckets: [0.5, 1, 2, 5, 10, 20, 30, 60, 120],
+});
+const aiTokenCounter = new Counter({
+  name: "bot_ai_tokens_total",
+  help: "Tokens used by AI requests, by model and type (prompt, completion)",
+  labelNames: ["model", "type"],
+});
+const errorCounter = new Counter({
+  name: "bot_errors_total",
+  help: "Errors reported to users, by error class and AI error type",
+  labelNames: ["class", "type"],
+});
+const banRejectionCounter = new Counter({
+  name: "bot_banned_rejections_total",
+  help: "Requests rejected because the user is banned (permanent, temporary)",
+  labelNames: ["ban"],
+});
+new Gauge({
+  name: "bot_ai_queue_depth",
+  help: "AI requests waiting for a free slot",
+  collect() {
+    this.set(aiRequestQueue.length);
+  },
+});
+new Gauge({
+  name: "bot_ai_requests_in_flight",
+  help: "AI requests running right now",
+  collect() {
+    this.set(activeAIRequests);
+  },
+});
 
-        await ctx.editMessageText(bannedMessage, {
-          reply_markup: new InlineKeyboard().text("🔙 Back", "admin_refresh"),
-          parse_mode: "Markdown",
-        });
-        break;
+// Commands counted by name in bot_commands_total
+const METRIC_COMMANDS = [
+  "start",
+  "help",
+  "find",
+  "agent",
+  "translate",
+  "summarize",
+  "improve",
+  "talk",
+  "reset",
+  "history",
+  "usage",
+  "tldr",
+  "digest",
+  "settings",
+  "wakewords",
+  "voice",
+  "language",
+  "persona",
+  "admin",
+];
+
+// Cap of AI requests running at the same time, the others wait in line
+const MAX_CONCURRENT_AI_REQUESTS =
+  parseInt(process.env.MAX_CONCURRENT_AI_REQUESTS) || 5;
+let activeAIRequests = 0;
+const aiRequestQueue = []; // resolve functions of the waiting requests
+
+// Tell the user their place in the AI request queue. Only messages get
+// the notice, not inline queries or scheduled digests.
+async function sendQueueNotice(ctx, position) {
+  if (!ctx || !ctx.message) return null;
 
-      case "admin_banned_groups":
-        const bannedGroups = data.bannedGroups.map((id) => {
-          const group = data.groups[id];
-          return group ? `${group.title} (${id})` : `ID: ${id}`;
-        });
+  try {
+    return await ctx.reply(ctx.t("queue.waiting", { position }), {
+      reply_to_message_id: ctx.message.message_id,
+    });
+  } catch (error) {
+    logger.error("Error sending queue notice:", error);
+    return null;
+  }
+}
 
-        const bannedGroupsMessage =
-          bannedGroups.length > 0
-            ? `🚫 **Banned Groups (${
-                bannedGroups.length
-              }):**\n\n${bannedGroups.join("\n")}`
-            : "✅ No banned groups.";
+// Hand the slot of a finished AI request to the next one in line
+function releaseAISlot() {
+  const next = aiRequestQueue.shift();
+  if (next) {
+    next();
+  } else {
+    activeAIRequests -= 1;
+  }
+}
 
-        await ctx.editMessageText(bannedGroupsMessage, {
-          reply_markup: new InlineKeyboard().text("🔙 Back", "admin_refresh"),
-          parse_mode: "Markdown",
-        });
-        break;
+// Wait for a free AI request slot, returns the function that frees it.
+// The queue notice is removed once the request's turn comes. A user
+// request can take several AI calls (intent classification and the
+// answer, or the chunks of a long document), it gets one notice.
+async function acquireAISlot(ctx) {
+  if (
+    activeAIRequests < MAX_CONCURRENT_AI_REQUESTS &&
+    aiRequestQueue.length === 0
+  ) {
+    activeAIRequests += 1;
+    return releaseAISlot;
+  }
 
-      case "admin_settings":
-        const settingsMessage = `⚙️ **Bot Settings**
-
-🛡️ Anti-Spam: ${data.settings.antiSpamEnabled ? "Enabled" : "Disabled"}
-📅 Created: ${new Date(data.settings.createdAt).toLocaleDateString()}
-🔢 Version: ${data.settings.version}`;
-
-        await ctx.editMessageText(settingsMessage, {
-          reply_markup: new InlineKeyboard()
-            .text(
-              data.settings.antiSpamEnabled
-                ? "🔴 Disable Anti-Spam"
-                : "🟢 Enable Anti-Spam",
-              "toggle_antispam"
-            )
-            .row()
-            .text("🔙 Back", "admin_refresh"),
-          parse_mode: "Markdown",
+  const turn = new Promise((resolve) => aiRequestQueue.push(resolve));
+  let notice = null;
+  if (ctx && !ctx.queueNoticeSent) {
+    ctx.queueNoticeSent = true;
+    notice = await sendQueueNotice(ctx, aiRequestQueue.length);
+  }
+  await turn;
+
+  if (notice) {
+    ctx.api.deleteMessage(notice.chat.id, notice.message_id).catch(() => {});
+  }
+  return releaseAISlot;
+}
+
+// Helper function to call the AI provider (named after the original
+// OpenAI-only backend). `promptName` is the persona prompt used as system
+// prompt (see PERSONA_PROMPTS), `history` holds earlier { role, content }
+// turns. Options:
+// - `ctx`: account the token usage to the user and group, and use the
+//   persona and response language of the chat
+// - `command`: selects the per-command model (AI_MODEL_<COMMAND>)
+// - `images`: { mimeType, data (base64) } images sent with the prompt;
+//   AI_MODEL_VISION can select a vision model for them
+// - `onPartial`: stream the answer; called with the text received so far
+// - `maxTokens`: longest answer in tokens (default 1000)
+// - `temperature`: sampling temperature (default 0.7)
+// - `systemPrompt`: use this system prompt instead of the persona's
+// Transient failures are retried with backoff. If the primary provider
+// still fails, AI_FALLBACK_PROVIDER is tried. Throws an AIServiceError.
+// At most MAX_CONCURRENT_AI_REQUESTS calls run at once, others queue.
+async function callOpenAI(
+  prompt,
+  promptName = "system",
+  history = [],
+  options = {}
+) {
+  const messages = [...history, { role: "user", content: prompt }];
+  const system =
+    options.systemPrompt || (await buildSystemPrompt(promptName, options));
+  const images = options.images || [];
+  const primary = resolveCommandModel(
+    images.length > 0 && process.env.AI_MODEL_VISION
+      ? "vision"
+      : options.command
+  );
+  const attempts = [primary];
+
+  if (AI_FALLBACK_PROVIDER && AI_FALLBACK_PROVIDER !== primary.provider) {
+    attempts.push({
+      provider: AI_FALLBACK_PROVIDER,
+      model: AI_PROVIDER_CONFIGS[AI_FALLBACK_PROVIDER].model,
+    });
+  }
+
+  // Wait for a free slot when too many AI requests are running
+  const releaseSlot = await acquireAISlot(options.ctx);
+  try {
+    let lastError;
+    for (const attempt of attempts) {
+      const labels = {
+        command: options.command || "none",
+        model: attempt.model,
+      };
+      const endTimer = aiLatencyHistogram.startTimer(labels);
+      try {
+        const result = await requestWithRetries(
+          getAIProvider(attempt.provider),
+          {
+            model: attempt.model,
+            system,
+            messages,
+            maxTokens: options.maxTokens || 1000,
+            temperature: options.temperature ?? 0.7,
+            images,
+            onPartial: options.onPartial,
+          }
+        );
+
+        const seconds = endTimer({ status: "ok" });
+        recordAIOutcome(null);
+        logger.info("AI request finished", {
+          command: options.command || "none",
+          provider: attempt.provider,
+          model: attempt.model,
+          durationMs: Math.round(seconds * 1000),
+          promptTokens: result.usage && result.usage.prompt_tokens,
+          completionTokens: result.usage && result.usage.completion_tokens,
         });
-        break;
 
-      case "admin_download":
-        try {
-          // Read current data and send as document
-          const downloadData = await readData();
-          const dataContent = JSON.stringify(downloadData, null, 2);
-          const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-          const fileName = `bot-data-${timestamp}.json`;
-          
-          // Create a temporary message to inform user
-          await ctx.answerCallbackQuery("📥 Preparing download...");
-          
-          // Send the data as a document
-          await ctx.replyWithDocument(
-            new InputFile(Buffer.from(dataContent), fileName),
-            {
-              caption: `📊 Bot Data Export\n\n📅 Generated: ${new Date().toLocaleString()}\n📦 Size: ${Math.round(Buffer.byteLength(dataContent, 'utf8') / 1024 * 100) / 100} KB`,
-              reply_to_message_id: ctx.callbackQuery.message.message_id
-            }
+        if (result.usage) {
+          aiTokenCounter.inc(
+            { model: attempt.model, type: "prompt" },
+            result.usage.prompt_tokens || 0
+          );
+          aiTokenCounter.inc(
+            { model: attempt.model, type: "completion" },
+            result.usage.completion_tokens || 0
           );
-          
-        } catch (downloadError) {
-          console.error("Error downloading data:", downloadError);
-          await ctx.answerCallbackQuery("❌ Error generating download!");
         }
-        return; // Don't call answerCallbackQuery again
+        if (options.ctx && result.usage) {
+          await recordUsage(options.ctx, result.model, result.usage);
+        }
 
-      case "admin_refresh":
-      case "admin_main":
-        // Refresh main admin panel
-        const refreshedData = await readData();
-        const refreshUsers = Object.values(refreshedData.users);
-        const refreshTotalUsers = refreshUsers.length;
-        const refreshTotalAiRequests =
-          refreshedData.statistics.totalAiRequests || 0;
-        const refreshTotalMessages =
-          refreshedData.statistics.totalMessages || 0;
-        const refreshBannedUsersCount = refreshedData.bannedUsers.length;
-        const refreshBannedGroupsCount = refreshedData.bannedGroups.length;
-
-        const refreshDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-        const refreshActiveUsers = refreshUsers.filter(
-          (user) => new Date(user.lastActivity) > refreshDayAgo
-        ).length;
-
-        // Add current time to make message unique
-        const currentTime = new Date().toLocaleTimeString();
-        const refreshAdminMessage = `🔧 **Super Admin Panel**
-
-📊 **Statistics:**
-👥 Total Users: **${refreshTotalUsers}**
-🤖 Total AI Requests: **${refreshTotalAiRequests}**
-💬 Total Messages: **${refreshTotalMessages}**
-🔥 Active Users (24h): **${refreshActiveUsers}**
-
-🚫 **Moderation:**
-❌ Banned Users: **${refreshBannedUsersCount}**
-❌ Banned Groups: **${refreshBannedGroupsCount}**
-
-🤖 Bot Started: ${new Date(refreshedData.statistics.botStarted).toLocaleString()}
-🔄 Last Refresh: ${currentTime}`;
+        return result.content.trim() || "No response generated";
+      } catch (error) {
+        endTimer({ status: "error" });
+        logger.error(
+          `AI provider "${attempt.provider}" (${attempt.model}) ${error.type} error:`,
+          error.cause || error
+        );
+        lastError = error;
 
-        try {
-          await ctx.editMessageText(refreshAdminMessage, {
-            reply_markup: createMainAdminKeyboard(),
-            parse_mode: "Markdown",
-          });
-        } catch (editError) {
-          // If edit fails due to same content, just answer callback
-          console.log("Message content unchanged, skipping edit");
-        }
-        break;
+        // Another provider would refuse the same content too
+        if (error.type === "content_filtered") break;
+      }
+    }
+
+    recordAIOutcome(lastError);
+    throw lastError;
+  } finally {
+    releaseSlot();
+  }
+}
+
+// Bot UI translations, loaded from locales/<code>.json at startup.
+// Keys are dotted paths like "tldr.usage". A value can also be an object
+// of plural forms ("one", "few", "many", "other"), picked by the `count`
+// parameter. Missing keys fall back to DEFAULT_LOCALE, then English.
+const LOCALES_DIR = path.join(process.cwd(), "locales");
+const FALLBACK_LOCALE = "en";
+const DEFAULT_LOCALE = (process.env.DEFAULT_LOCALE || FALLBACK_LOCALE)
+  .toLowerCase()
+  .split("-")[0];
+let locales = {};
+
+// Load every locale file of the locales directory
+async function loadLocales() {
+  const files = (await fs.readdir(LOCALES_DIR)).filter((file) =>
+    file.endsWith(".json")
+  );
+  const loaded = {};
+  for (const file of files) {
+    const content = await fs.readFile(path.join(LOCALES_DIR, file), "utf8");
+    loaded[path.basename(file, ".json")] = JSON.parse(content);
+  }
+
+  if (!loaded[FALLBACK_LOCALE]) {
+    throw new Error(`Locale file ${FALLBACK_LOCALE}.json is missing`);
+  }
+  locales = loaded;
+  return Object.keys(locales);
+}
+
+// Find a message of one locale, choosing the plural form for `count`
+function findMessage(locale, key, count) {
+  let value = locales[locale];
+  for (const part of key.split(".")) {
+    value = value?.[part];
+  }
+
+  if (value && typeof value === "object" && typeof count === "number") {
+    const form = new Intl.PluralRules(locale).select(count);
+    value = value[form] ?? value.other;
+  }
+  return typeof value === "string" ? value : undefined;
+}
+
+// Translate a key, filling in {placeholders} from `params`
+function t(locale, key, params = {}) {
+  const message =
+    findMessage(locale, key, params.count) ??
+    findMessage(DEFAULT_LOCALE, key, params.count) ??
+    findMessage(FALLBACK_LOCALE, key, params.count) ??
+    key;
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in params ? String(params[name]) : placeholder
+  );
+}
+
+// Pick the UI language: the one chosen with /language, else the
+// language of the user's Telegram app if we have it, else the default
+function getLocale(ctx, data) {
+  const userId = ctx.from?.id;
+  const chosen = userId && data?.users[userId]?.language;
+  if (chosen && locales[chosen]) return chosen;
+
+  const telegramLanguage = ctx.from?.language_code?.split("-")[0];
+  if (telegramLanguage && locales[telegramLanguage]) return telegramLanguage;
+
+  return DEFAULT_LOCALE;
+}
+
+// UI language of messages to a whole group (digests): the group's
+// response language from /settings if there is a locale for it
+function getGroupLocale(group) {
+  const { language } = getGroupSettings(group);
+  return locales[language] ? language : DEFAULT_LOCALE;
+}
+
+// Pick the error message for an AI failure in the user's language
+// (and count the error in bot_errors_total)
+function getErrorMessage(ctx, error) {
+  const type = error instanceof AIServiceError ? error.type : "generic";
+  errorCounter.inc({ class: (error && error.name) || "Error", type });
+  return t(ctx.locale || getLocale(ctx), `ai_errors.${type}`);
+}
+
+// Estimated USD price per 1M tokens: [input, output]. Models not listed
+// here (e.g. local ones) are counted as free.
+const MODEL_PRICING = {
+  "gpt-4o-mini": [0.15, 0.6],
+  "gpt-4o": [2.5, 10],
+  "gpt-4.1-nano": [0.1, 0.4],
+  "gpt-4.1-mini": [0.4, 1.6],
+  "gpt-4.1": [2, 8],
+  "gpt-4-turbo": [10, 30],
+  "gpt-3.5-turbo": [0.5, 1.5],
+  "o4-mini": [1.1, 4.4],
+  "o3-mini": [1.1, 4.4],
+  "claude-3-haiku": [0.25, 1.25],
+  "claude-3-5-haiku": [0.8, 4],
+  "claude-3-5-sonnet": [3, 15],
+  "claude-3-7-sonnet": [3, 15],
+  "claude-sonnet-4": [3, 15],
+  "claude-opus-4": [15, 75],
+};
+
+// Read an integer from the environment, keeping an explicit 0
+function parseEnvInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Default token quotas, 0 means unlimited (adjustable from the admin panel)
+const DEFAULT_QUOTAS = {
+  userDailyTokens: parseEnvInt("USER_DAILY_TOKEN_QUOTA", 50000),
+  userMonthlyTokens: parseEnvInt("USER_MONTHLY_TOKEN_QUOTA", 1000000),
+  groupDailyTokens: parseEnvInt("GROUP_DAILY_TOKEN_QUOTA", 200000),
+  groupMonthlyTokens: parseEnvInt("GROUP_MONTHLY_TOKEN_QUOTA", 4000000),
+};
+
+// Get the token quotas merged with defaults
+function getQuotas(data) {
+  return { ...DEFAULT_QUOTAS, ...(data.settings.quotas || {}) };
+}
+
+// Find the price of a model, matching dated versions like gpt-4o-2024-08-06
+function getModelPricing(model) {
+  const key = Object.keys(MODEL_PRICING)
+    .filter((name) => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? MODEL_PRICING[key] : [0, 0];
+}
+
+function estimateCost(model, promptTokens, completionTokens) {
+  const [inputPrice, outputPrice] = getModelPricing(model);
+  return (promptTokens * inputPrice + completionTokens * outputPrice) / 1e6;
+}
+
+// Usage periods are calendar days and months in UTC
+function getUsagePeriods(date = new Date()) {
+  const iso = date.toISOString();
+  return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+}
+
+// Add usage to a { day, month, total } record, resetting expired periods
+function addUsage(record, usage) {
+  const periods = getUsagePeriods();
+  const result = record || {};
+
+  for (const scope of ["day", "month", "total"]) {
+    let bucket = result[scope];
+    if (!bucket || (scope !== "total" && bucket.period !== periods[scope])) {
+      bucket = {
+        period: periods[scope],
+        requests: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        cost: 0,
+      };
+    }
+    bucket.requests += 1;
+    bucket.promptTokens += usage.promptTokens;
+    bucket.completionTokens += usage.completionTokens;
+    bucket.cost += usage.cost;
+    result[scope] = bucket;
+  }
+
+  return result;
+}
+
+// Tokens used in the current day or month of a usage record
+function getPeriodTokens(record, scope) {
+  const bucket = record && record[scope];
+  if (!bucket || bucket.period !== getUsagePeriods()[scope]) return 0;
+  return bucket.promptTokens + bucket.completionTokens;
+}
+
+// Record the tokens and estimated cost of an AI call for the user and group
+async function recordUsage(ctx, model, apiUsage) {
+  try {
+    const promptTokens = apiUsage.prompt_tokens || 0;
+    const completionTokens = apiUsage.completion_tokens || 0;
+    const usage = {
+      promptTokens,
+      completionTokens,
+      // Calls not billed per token (transcription) pass their own cost
+      cost:
+        apiUsage.cost ?? estimateCost(model, promptTokens, completionTokens),
+    };
+
+    await updateData((data) => {
+      const user = ctx.from && data.users[ctx.from.id];
+      if (user) user.usage = addUsage(user.usage, usage);
+
+      const group = ctx.chat && data.groups[ctx.chat.id];
+      if (group) group.usage = addUsage(group.usage, usage);
+
+      const statistics = data.statistics;
+      statistics.usage = addUsage(statistics.usage, usage);
+      if (!statistics.usageByModel) statistics.usageByModel = {};
+      statistics.usageByModel[model] = addUsage(
+        statistics.usageByModel[model],
+        usage
+      );
+    });
+  } catch (error) {
+    logger.error("Error recording usage:", error);
+  }
+}
+
+// Check the daily/monthly token quotas of the user and group.
+// Returns false (after replying with a friendly notice) when exceeded.
+async function enforceQuota(ctx) {
+  try {
+    const data = await readData();
+    if (isSuperAdmin(ctx.from.id, data)) {
+      return true;
+    }
+
+    const quotas = getQuotas(data);
+    const user = data.users[ctx.from.id];
+    const group = ctx.chat && data.groups[ctx.chat.id];
+    const checks = [
+      { record: user, limit: quotas.userDailyTokens, scope: "day" },
+      { record: user, limit: quotas.userMonthlyTokens, scope: "month" },
+      { record: group, limit: quotas.groupDailyTokens, scope: "day" },
+      { record: group, limit: quotas.groupMonthlyTokens, scope: "month" },
+    ];
+
+    for (const { record, limit, scope } of checks) {
+      if (!record || !limit || getPeriodTokens(record.usage, scope) < limit) {
+        continue;
+      }
+
+      const subject = record === user ? "user" : "group";
+      await replyWithNotice(
+        ctx,
+        ctx.t(`quota.${subject}_${scope}`, { limit: limit.toLocaleString() })
+      );
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    logger.error("Error checking quota:", error);
+    return true; // Allow on error
+  }
+}
+
+// Maximum length of a Telegram message
+const TELEGRAM_MESSAGE_LIMIT = 4096;
+
+// Escape text for Telegram HTML messages
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Emphasis markers and their tags, longest first so "**" isn't read as
+// two "*"
+const EMPHASIS_MARKERS = [
+  ["**", "b"],
+  ["__", "b"],
+  ["~~", "s"],
+  ["*", "i"],
+  ["_", "i"],
+];
+
+// Whether the marker at `position` can open or close a span. A single
+// "*" or "_" inside a word (snake_case) does neither.
+function getMarkerSides(text, position, marker) {
+  const before = text[position - 1] || " ";
+  const after = text[position + marker.length] || " ";
+  const single = marker.length === 1;
+  return {
+    canOpen: /\S/.test(after) && !(single && /\w/.test(before)),
+    canClose: /\S/.test(before) && !(single && /\w/.test(after)),
+  };
+}
+
+// Turn emphasis markers into tags. Telegram rejects tags that overlap,
+// so only properly nested spans become tags: a span closed while markers
+// opened inside it are still open (e.g. "**bold _x** y_") leaves those
+// inner markers as text, as are markers that are never closed.
+function renderEmphasis(text) {
+  const parts = [];
+  const openMarkers = []; // { marker, index } of markers in parts
+  let position = 0;
+
+  while (position < text.length) {
+    // Close the innermost span first, so "***both***" nests as <b><i>
+    const innermost = openMarkers[openMarkers.length - 1];
+    const entry =
+      innermost &&
+      text.startsWith(innermost.marker, position) &&
+      getMarkerSides(text, position, innermost.marker).canClose
+        ? EMPHASIS_MARKERS.find(([marker]) => marker === innermost.marker)
+        : EMPHASIS_MARKERS.find(([marker]) =>
+            text.startsWith(marker, position)
+          );
+    if (!entry) {
+      parts.push(text[position]);
+      position += 1;
+      continue;
+    }
+
+    const [marker, tag] = entry;
+    const { canOpen, canClose } = getMarkerSides(text, position, marker);
+    const openAt = openMarkers.findLastIndex((open) => open.marker === marker);
+
+    if (
+      canClose &&
+      openAt !== -1 &&
+      openMarkers[openAt].index < parts.length - 1
+    ) {
+      const [open] = openMarkers.splice(openAt);
+      parts[open.index] = `<${tag}>`;
+      parts.push(`</${tag}>`);
+    } else {
+      if (canOpen) openMarkers.push({ marker, index: parts.length });
+      parts.push(marker);
+    }
+    position += marker.length;
+  }
+
+  return parts.join("");
+}
+
+// Convert inline Markdown (bold, italic, strikethrough, code, links)
+function renderInlineMarkdown(text) {
+  // Pull out code spans and links first so their content isn't formatted
+  const placeholders = [];
+  const hold = (html) => `\u0000${placeholders.push(html) - 1}\u0000`;
+
+  let result = text
+    .replace(/`([^`\n]+)`/g, (_, code) =>
+      hold(`<code>${escapeHtml(code)}</code>`)
+    )
+    .replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g, (_, label, url) =>
+      hold(`<a href="${escapeHtml(url)}">${escapeHtml(label)}</a>`)
+    );
+
+  result = renderEmphasis(escapeHtml(result));
+
+  return result.replace(
+    /\u0000(\d+)\u0000/g,
+    (_, index) => placeholders[index]
+  );
+}
+
+// Convert model Markdown into the HTML subset Telegram supports
+function markdownToTelegramHtml(markdown) {
+  const output = [];
+  let codeLines = null;
+  let codeLanguage = "";
+  let quoteLines = [];
+
+  const flushQuote = () => {
+    if (quoteLines.length > 0) {
+      output.push(`<blockquote>${quoteLines.join("\n")}</blockquote>`);
+      quoteLines = [];
+    }
+  };
+  const flushCode = () => {
+    const language = codeLanguage
+      ? ` class="language-${escapeHtml(codeLanguage)}"`
+      : "";
+    output.push(
+      `<pre><code${language}>${escapeHtml(codeLines.join("\n"))}</code></pre>`
+    );
+    codeLines = null;
+  };
+
+  for (const line of markdown.split("\n")) {
+    if (codeLines) {
+      if (/^\s*```\s*$/.test(line)) flushCode();
+      else codeLines.push(line);
+      continue;
+    }
+
+    const fence = line.match(/^\s*```\s*([\w+#.-]*)\s*$/);
+    const quote = line.match(/^\s*>\s?(.*)$/);
+    if (!quote) flushQuote();
+
+    if (fence) {
+      codeLines = [];
+      codeLanguage = fence[1];
+    } else if (quote) {
+      quoteLines.push(renderInlineMarkdown(quote[1]));
+    } else if (/^\s*#{1,6}\s+/.test(line)) {
+      output.push(
+        `<b>${renderInlineMarkdown(line.replace(/^\s*#+\s+/, ""))}</b>`
+      );
+    } else if (/^\s*[-*+]\s+/.test(line)) {
+      const [, indent, item] = line.match(/^(\s*)[-*+]\s+(.*)$/);
+      output.push(`${indent}• ${renderInlineMarkdown(item)}`);
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      output.push("──────────");
+    } else {
+      output.push(renderInlineMarkdown(line));
+    }
+  }
+
+  // The model may leave a code block unclosed
+  if (codeLines) flushCode();
+  flushQuote();
+
+  return output.join("\n");
+}
+
+// Split Markdown into paragraphs, keeping fenced code blocks whole
+function splitMarkdownBlocks(markdown) {
+  const blocks = [];
+  let current = [];
+  let inCode = false;
+
+  const flush = () => {
+    if (current.some((line) => line.trim())) blocks.push(current.join("\n"));
+    current = [];
+  };
+
+  for (const line of markdown.split("\n")) {
+    const isFence = /^\s*```/.test(line);
+
+    if (!inCode && isFence) flush();
+    if (!inCode && !isFence && !line.trim()) {
+      flush();
+      continue;
+    }
+
+    current.push(line);
+    if (isFence) {
+      inCode = !inCode;
+      if (!inCode) flush();
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+const RENDER_SEPARATORS = ["\n\n", "\n", ". ", " "];
+
+// Split an oversized fenced code block into several code blocks by lines
+function splitCodeBlock(block) {
+  const [, fenceInfo, code] = block.match(
+    /^\s*```([^\n]*)\n?([\s\S]*?)\n?\s*(?:```)?\s*$/
+  );
+  const fence = (text) => "```" + fenceInfo + "\n" + text + "\n```";
+  const fits = (text) =>
+    markdownToTelegramHtml(fence(text)).length <= TELEGRAM_MESSAGE_LIMIT;
+
+  // Lines too long for one message are cut into pieces first
+  const lines = code.split("\n").flatMap((line) => {
+    if (fits(line)) return [line];
+    const chars = Array.from(line);
+    const size = Math.floor(TELEGRAM_MESSAGE_LIMIT / 8);
+    const pieces = [];
+    for (let i = 0; i < chars.length; i += size) {
+      pieces.push(chars.slice(i, i + size).join(""));
+    }
+    return pieces;
+  });
+
+  const chunks = [];
+  let current = null;
+  for (const line of lines) {
+    const candidate = current === null ? line : `${current}\n${line}`;
+    if (current !== null && !fits(candidate)) {
+      chunks.push(fence(current));
+      current = line;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current !== null) chunks.push(fence(current));
+
+  return chunks;
+}
+
+// Split Markdown into pieces whose rendered HTML fits into one message,
+// preferring paragraph, then line, sentence and word boundaries
+function splitMarkdown(markdown, level = 0) {
+  const fits = (text) =>
+    markdownToTelegramHtml(text).length <= TELEGRAM_MESSAGE_LIMIT;
+  if (fits(markdown)) return [markdown];
+
+  // Nothing left to split on: cut in half
+  if (level >= RENDER_SEPARATORS.length) {
+    const chars = Array.from(markdown);
+    const middle = Math.ceil(chars.length / 2);
+    return [
+      ...splitMarkdown(chars.slice(0, middle).join(""), level),
+      ...splitMarkdown(chars.slice(middle).join(""), level),
+    ];
+  }
+
+  const separator = RENDER_SEPARATORS[level];
+  const pieces =
+    level === 0 ? splitMarkdownBlocks(markdown) : markdown.split(separator);
+  const chunks = [];
+  let current = "";
+
+  for (const piece of pieces) {
+    const candidate = current ? current + separator + piece : piece;
+    if (fits(candidate)) {
+      current = candidate;
+      continue;
+    }
+
+    if (current) chunks.push(current);
+    if (fits(piece)) {
+      current = piece;
+    } else {
+      const isCodeBlock = level === 0 && /^\s*```/.test(piece);
+      chunks.push(
+        ...(isCodeBlock
+          ? splitCodeBlock(piece)
+          : splitMarkdown(piece, level + 1))
+      );
+      current = "";
+    }
+  }
+  if (current) chunks.push(current);
+
+  return chunks;
+}
+
+// Render a model answer into message chunks with Telegram HTML and the
+// plain-text original (used when Telegram rejects the formatting)
+function renderReply(markdown) {
+  return splitMarkdown(markdown.trim() || "No response generated").map(
+    (text) => ({
+      html: markdownToTelegramHtml(text),
+      text: text.slice(0, TELEGRAM_MESSAGE_LIMIT),
+    })
+  );
+}
+
+// Check if Telegram rejected a message because of its formatting
+function isFormattingError(error) {
+  return (
+    error.error_code === 400 &&
+    /can't parse entities|unsupported start tag|can't find end/i.test(
+      error.description || ""
+    )
+  );
+}
+
+// Send one rendered chunk through `send(text, options)`, retrying as
+// plain text if the HTML is rejected
+async function sendRenderedChunk(send, chunk) {
+  try {
+    return await send(chunk.html, { parse_mode: "HTML" });
+  } catch (error) {
+    if (!isFormattingError(error)) throw error;
+    logger.warn("Formatting rejected, sending plain text:", error.description);
+    return await send(chunk.text, {});
+  }
+}
+
+// Send a model answer as formatted replies, split at Telegram's length limit
+async function sendRenderedReply(ctx, markdown, replyOptions = {}) {
+  const sentMessages = [];
+  for (const chunk of renderReply(markdown)) {
+    sentMessages.push(
+      await sendRenderedChunk(
+        (text, options) => ctx.reply(text, { ...replyOptions, ...options }),
+        chunk
+      )
+    );
+  }
+  return sentMessages;
+}
+
+// Minimum time between edits of a streamed reply. Telegram allows about
+// one edit per second in private chats and 20 per minute in groups.
+const STREAM_EDIT_INTERVAL_MS = 1000;
+const STREAM_GROUP_EDIT_INTERVAL_MS = 3000;
+
+// Send a placeholder reply and progressively edit it while a streamed
+// answer arrives. Edits are throttled and never overlap.
+async function createStreamingReply(ctx, replyOptions) {
+  const placeholder = await ctx.reply(ctx.t("common.thinking"), replyOptions);
+  const isGroup = ctx.chat.type === "group" || ctx.chat.type === "supergroup";
+  const interval = isGroup
+    ? STREAM_GROUP_EDIT_INTERVAL_MS
+    : STREAM_EDIT_INTERVAL_MS;
+
+  let lastEditAt = Date.now();
+  let lastText = placeholder.text;
+  let editInFlight = null;
+
+  async function edit(text) {
+    if (text === lastText) return;
+    lastText = text;
+
+    try {
+      await ctx.api.editMessageText(ctx.chat.id, placeholder.message_id, text);
+    } catch (error) {
+      if (!String(error.description).includes("message is not modified")) {
+        logger.error("Error editing streamed reply:", error);
+      }
+    }
+  }
+
+  return {
+    // Show the text received so far (skipped while throttled)
+    update(text) {
+      if (editInFlight || !text.trim() || Date.now() - lastEditAt < interval) {
+        return;
+      }
+
+      // Keep room for the cursor; the full text is shown by finish()
+      const preview =
+        text.length > TELEGRAM_MESSAGE_LIMIT - 10
+          ? `${text.slice(0, TELEGRAM_MESSAGE_LIMIT - 10)}…`
+          : text;
+
+      lastEditAt = Date.now();
+      editInFlight = edit(`${preview.trimEnd()} ▌`).finally(() => {
+        editInFlight = null;
+      });
+    },
+
+    // Replace the placeholder with the final formatted answer; parts that
+    // don't fit into one message are sent as extra replies
+    async finish(text) {
+      await editInFlight;
+
+      const [firstChunk, ...otherChunks] = renderReply(text);
+      const sentMessages = [
+        await sendRenderedChunk(
+          (chunkText, options) =>
+            ctx.api.editMessageText(
+              ctx.chat.id,
+              placeholder.message_id,
+              chunkText,
+              options
+            ),
+          firstChunk
+        ),
+      ];
+
+      for (const chunk of otherChunks) {
+        sentMessages.push(
+          await sendRenderedChunk(
+            (chunkText, options) =>
+              ctx.reply(chunkText, { ...replyOptions, ...options }),
+            chunk
+          )
+        );
+      }
+
+      return sentMessages;
+    },
+
+    // Remove the placeholder after a failure
+    async cancel() {
+      await editInFlight;
+      try {
+        await ctx.api.deleteMessage(ctx.chat.id, placeholder.message_id);
+      } catch (error) {
+        logger.error("Error deleting streamed reply:", error);
+      }
+    },
+  };
+}
+
+// Get an AI answer for a command and send it as a formatted reply to the
+// user's message.
+// With streaming enabled the reply appears progressively while the
+// answer is generated. With `options.spoken` the answer is sent as a
+// voice message instead; `options.images` are passed to the AI.
+// Returns the answer text and the sent messages.
+async function replyWithAI(
+  ctx,
+  command,
+  prompt,
+  promptName = "system",
+  history = [],
+  options = {}
+) {
+  // Reply to the user's message in groups, direct reply in private chats
+  const replyOptions =
+    ctx.chat.type === "group" || ctx.chat.type === "supergroup"
+      ? { reply_to_message_id: ctx.message.message_id }
+      : {};
+
+  if (options.spoken) {
+    const response = await callOpenAI(prompt, promptName, history, {
+      ctx,
+      command,
+      images: options.images,
+    });
+    const sentMessages =
+      (await sendSpokenReply(ctx, response, replyOptions)) ||
+      (await sendRenderedReply(ctx, response, replyOptions));
+    return { response, sentMessages };
+  }
+
+  const data = await readData();
+  if (!data.settings.streamingEnabled) {
+    const response = await callOpenAI(prompt, promptName, history, {
+      ctx,
+      command,
+      images: options.images,
+    });
+    const sentMessages = await sendRenderedReply(ctx, response, replyOptions);
+    return { response, sentMessages };
+  }
+
+  const streamingReply = await createStreamingReply(ctx, replyOptions);
+  try {
+    const response = await callOpenAI(prompt, promptName, history, {
+      ctx,
+      command,
+      images: options.images,
+      onPartial: (text) => streamingReply.update(text),
+    });
+    const sentMessages = await streamingReply.finish(response);
+    return { response, sentMessages };
+  } catch (error) {
+    await streamingReply.cancel();
+    throw error;
+  }
+}
+
+// Speech settings for voice messages. The speech provider must speak the
+// OpenAI audio API (openai, or a compatible server that implements it).
+const SPEECH_PROVIDER = (process.env.SPEECH_PROVIDER || "openai").toLowerCase();
+const TRANSCRIPTION_MODEL = process.env.TRANSCRIPTION_MODEL || "whisper-1";
+// Estimated USD price per minute of transcribed audio. Models not listed
+// here are counted as free.
+const TRANSCRIPTION_PRICING = {
+  "whisper-1": 0.006,
+  "gpt-4o-transcribe": 0.006,
+  "gpt-4o-mini-transcribe": 0.003,
+};
+const TTS_MODEL = process.env.TTS_MODEL || "tts-1";
+const TTS_VOICE = process.env.TTS_VOICE || "alloy";
+const TTS_MAX_CHARACTERS = 4096;
+const MAX_VOICE_DURATION_SECONDS =
+  parseInt(process.env.MAX_VOICE_DURATION_SECONDS) || 5 * 60;
+const TELEGRAM_DOWNLOAD_LIMIT = 20 * 1024 * 1024; // Bot API getFile limit
+
+function estimateTranscriptionCost(seconds) {
+  return ((TRANSCRIPTION_PRICING[TRANSCRIPTION_MODEL] || 0) * seconds) / 60;
+}
+
+let speechClient = null;
+
+// Check if voice messages can be transcribed
+function isSpeechConfigured() {
+  return (
+    AI_PROVIDER_CONFIGS[SPEECH_PROVIDER]?.type === "openai" &&
+    isProviderConfigured(SPEECH_PROVIDER)
+  );
+}
+
+function getSpeechClient() {
+  if (!speechClient) {
+    const providerConfig = AI_PROVIDER_CONFIGS[SPEECH_PROVIDER];
+    speechClient = new OpenAI({
+      apiKey: providerConfig.apiKey,
+      baseURL: providerConfig.baseURL,
+      timeout: AI_REQUEST_TIMEOUT_MS,
+    });
+  }
+  return speechClient;
+}
+
+// Download a file sent to the bot
+async function downloadTelegramFile(ctx, fileId) {
+  const file = await ctx.api.getFile(fileId);
+  const response = await fetch(
+    `https://api.telegram.org/file/bot${process.env.BOT_TOKEN}/${file.file_path}`
+  );
+  if (!response.ok) {
+    throw new Error(`Telegram file download failed: ${response.status}`);
+  }
+  return {
+    buffer: Buffer.from(await response.arrayBuffer()),
+    filePath: file.file_path,
+  };
+}
+
+// Image formats every supported AI provider accepts
+const SUPPORTED_IMAGE_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Find the image of a photo or image document message
+function getMessageImage(message) {
+  if (!message) return null;
+
+  if (message.photo) {
+    // Telegram sends several sizes, the largest comes last
+    const photo = message.photo[message.photo.length - 1];
+    return {
+      fileId: photo.file_id,
+      fileSize: photo.file_size,
+      mimeType: "image/jpeg",
+    };
+  }
+
+  const document = message.document;
+  if (document && SUPPORTED_IMAGE_TYPES.includes(document.mime_type)) {
+    return {
+      fileId: document.file_id,
+      fileSize: document.file_size,
+      mimeType: document.mime_type,
+    };
+  }
+
+  return null;
+}
+
+// Download an image and encode it for the AI
+async function loadImage(ctx, image) {
+  const { buffer } = await downloadTelegramFile(ctx, image.fileId);
+  return { mimeType: image.mimeType, data: buffer.toString("base64") };
+}
+
+// Documents that /summarize and /translate can read, by file extension
+const DOCUMENT_TYPES = {
+  ".pdf": "pdf",
+  ".docx": "docx",
+  ".md": "markdown",
+  ".markdown": "markdown",
+  ".txt": "text",
+};
+const DOCUMENT_MIME_TYPES = {
+  "application/pdf": "pdf",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    "docx",
+  "text/markdown": "markdown",
+  "text/plain": "text",
+};
+const MAX_DOCUMENT_CHARACTERS =
+  parseInt(process.env.MAX_DOCUMENT_CHARACTERS) || 200000;
+const SUMMARY_CHUNK_CHARACTERS = 12000;
+const TRANSLATION_CHUNK_CHARACTERS = 4000;
+
+// Find the document of a message that /summarize and /translate can read
+function getMessageDocument(message) {
+  const document = message && message.document;
+  if (!document) return null;
+
+  const fileName = document.file_name || "document";
+  const type =
+    DOCUMENT_TYPES[path.extname(fileName).toLowerCase()] ||
+    DOCUMENT_MIME_TYPES[document.mime_type];
+  if (!type) return null;
+
+  return {
+    fileId: document.file_id,
+    fileSize: document.file_size,
+    fileName,
+    type,
+  };
+}
+
+// Extract the plain text of a document. PDF and DOCX need the optional
+// "pdf-parse" and "mammoth" packages.
+async function extractDocumentText(buffer, type) {
+  if (type === "pdf") {
+    let pdfParse;
+    try {
+      // The package entry point runs a self-test, load the library directly
+      ({ default: pdfParse } = await import("pdf-parse/lib/pdf-parse.js"));
+    } catch (error) {
+      throw new Error(
+        'Reading PDF files requires the "pdf-parse" package (npm install pdf-parse)'
+      );
+    }
+    return (await pdfParse(buffer)).text;
+  }
+
+  if (type === "docx") {
+    let mammoth;
+    try {
+      ({ default: mammoth } = await import("mammoth"));
+    } catch (error) {
+      throw new Error(
+        'Reading DOCX files requires the "mammoth" package (npm install mammoth)'
+      );
+    }
+    return (await mammoth.extractRawText({ buffer })).value;
+  }
+
+  return buffer.toString("utf8");
+}
+
+// Split text into chunks of at most `maxLength` characters, preferring
+// paragraph, then line, sentence and word boundaries
+function splitTextIntoChunks(text, maxLength, level = 0) {
+  if (text.length <= maxLength) return [text];
+
+  // Nothing left to split on: cut hard
+  if (level >= RENDER_SEPARATORS.length) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += maxLength) {
+      chunks.push(text.slice(i, i + maxLength));
+    }
+    return chunks;
+  }
+
+  // Pieces keep their separator so no text is lost between chunks
+  const separator = RENDER_SEPARATORS[level];
+  const pieces = text
+    .split(separator)
+    .map((piece, i, all) => (i < all.length - 1 ? piece + separator : piece));
+  const chunks = [];
+  let current = "";
+
+  for (const piece of pieces) {
+    const candidate = current + piece;
+    if (candidate.length <= maxLength) {
+      current = candidate;
+      continue;
+    }
+
+    if (current) chunks.push(current);
+    if (piece.length <= maxLength) {
+      current = piece;
+    } else {
+      chunks.push(...splitTextIntoChunks(piece, maxLength, level + 1));
+      current = "";
+    }
+  }
+  if (current) chunks.push(current);
+
+  return chunks.filter((chunk) => chunk.trim());
+}
+
+// Turn speech into text
+async function transcribeAudio(buffer, fileName) {
+  const transcription = await getSpeechClient().audio.transcriptions.create({
+    file: await toFile(buffer, fileName),
+    model: TRANSCRIPTION_MODEL,
+  });
+  return transcription.text.trim();
+}
+
+// Strip Markdown so the answer reads naturally when spoken
+function markdownToSpeechText(markdown) {
+  return markdown
+    .replace(/```[^\n]*\n?/g, "")
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, "$1")
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+])\s+/gm, "")
+    .replace(/[*_~`]/g, "")
+    .trim()
+    .slice(0, TTS_MAX_CHARACTERS);
+}
+
+// Send an answer as a synthesized voice message. Returns the sent
+// messages, or null if speech could not be generated.
+async function sendSpokenReply(ctx, markdown, replyOptions) {
+  try {
+    await ctx.replyWithChatAction("record_voice");
+    const speech = await getSpeechClient().audio.speech.create({
+      model: TTS_MODEL,
+      voice: TTS_VOICE,
+      input: markdownToSpeechText(markdown),
+      response_format: "opus",
+    });
+    const audio = Buffer.from(await speech.arrayBuffer());
+    const voiceMessage = await ctx.replyWithVoice(
+      new InputFile(audio, "answer.ogg"),
+      replyOptions
+    );
+    return [voiceMessage];
+  } catch (error) {
+    logger.error("Error sending voice reply:", error);
+    return null;
+  }
+}
+
+// Conversation memory settings
+const CONVERSATION_TOKEN_BUDGET =
+  parseInt(process.env.CONVERSATION_TOKEN_BUDGET) || 2000;
+const CONVERSATION_MAX_MESSAGES = 40;
+const CONVERSATION_TTL_MS = 3 * 24 * 60 * 60 * 1000; // Forget after 3 days
+
+// Rough token estimate (~4 characters per token plus message overhead)
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4) + 4;
+}
+
+// Drop the oldest messages until the history fits into the token budget
+function trimToTokenBudget(messages, budget = CONVERSATION_TOKEN_BUDGET) {
+  const trimmed = messages.slice(-CONVERSATION_MAX_MESSAGES);
+  let total = trimmed.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+
+  while (trimmed.length > 1 && total > budget) {
+    total -= estimateTokens(trimmed.shift().content);
+  }
+
+  return trimmed;
+}
+
+// Check if a message was sent by this bot
+function isOwnBotMessage(ctx, message) {
+  return (
+    message.from &&
+    message.from.is_bot &&
+    message.from.username === ctx.me.username
+  );
+}
+
+// Check if a stored conversation message was sent as the given message
+function isConversationMessage(message, messageId) {
+  return (
+    message.messageId === messageId ||
+    (message.partMessageIds || []).includes(messageId)
+  );
+}
+
+// Find the conversation in a chat that contains the given message
+function findConversationKey(conversations, chatId, messageId) {
+  for (const [key, conversation] of Object.entries(conversations)) {
+    if (
+      conversation.chatId === chatId &&
+      conversation.messages.some((m) => isConversationMessage(m, messageId))
+    ) {
+      return key;
+    }
+  }
+  return null;
+}
+
+// Resolve the conversation a message belongs to and load its history.
+// Private chats share one conversation; in groups every reply thread
+// (and forum topic) gets its own conversation.
+async function loadConversation(ctx) {
+  const data = await readData();
+  const conversations = data.conversations;
+  const message = ctx.message;
+  const chatId = ctx.chat.id.toString();
+  const repliedMessage = message.reply_to_message;
+
+  let key = null;
+  if (ctx.chat.type === "private") {
+    key = chatId;
+  } else {
+    if (repliedMessage) {
+      key = findConversationKey(
+        conversations,
+        chatId,
+        repliedMessage.message_id
+      );
+    }
+    if (!key) {
+      const topicId = message.is_topic_message ? message.message_thread_id : 0;
+      const rootId = repliedMessage
+        ? repliedMessage.message_id
+        : message.message_id;
+      key = `${chatId}:${topicId}:${rootId}`;
+    }
+  }
+
+  const stored = conversations[key];
+  const isFresh =
+    stored && Date.now() - new Date(stored.updatedAt) < CONVERSATION_TTL_MS;
+  const messages = isFresh ? stored.messages : [];
+
+  // Replying to a bot message we no longer remember: start from its text
+  const seed = [];
+  if (
+    repliedMessage &&
+    repliedMessage.text &&
+    isOwnBotMessage(ctx, repliedMessage) &&
+    !messages.some((m) => isConversationMessage(m, repliedMessage.message_id))
+  ) {
+    seed.push({
+      role: "assistant",
+      content: repliedMessage.text,
+      messageId: repliedMessage.message_id,
+    });
+  }
+
+  const history = trimToTokenBudget([...messages, ...seed]).map(
+    ({ role, content }) => ({ role, content })
+  );
+
+  return { key, chatId, seed, history };
+}
+
+// Store a user message and the bot's answer in the conversation
+async function recordConversation(
+  conversation,
+  userText,
+  userMessageId,
+  botText,
+  botMessageIds
+) {
+  try {
+    await updateData((data) => {
+      // Forget conversations nobody has touched for a while
+      for (const [key, stored] of Object.entries(data.conversations)) {
+        if (Date.now() - new Date(stored.updatedAt) >= CONVERSATION_TTL_MS) {
+          delete data.conversations[key];
+        }
+      }
+
+      const existing = data.conversations[conversation.key];
+      const messages = [
+        ...(existing ? existing.messages : []),
+        ...conversation.seed,
+        { role: "user", content: userText, messageId: userMessageId },
+        {
+          role: "assistant",
+          content: botText,
+          messageId: botMessageIds[0],
+          // Long answers are sent as several messages
+          ...(botMessageIds.length > 1 && {
+            partMessageIds: botMessageIds.slice(1),
+          }),
+        },
+      ];
+
+      data.conversations[conversation.key] = {
+        chatId: conversation.chatId,
+        messages: trimToTokenBudget(messages),
+        createdAt: existing ? existing.createdAt : new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+    });
+  } catch (error) {
+    logger.error("Error saving conversation:", error);
+  }
+}
+
+// Smart replies pick their intent with the keyword rules of intents.js
+// ("regex", default) or ask a model ("llm"; AI_MODEL_INTENT can select a
+// cheap one). Answers below INTENT_MIN_CONFIDENCE and failed requests
+// fall back to the keyword rules.
+const INTENT_CLASSIFIER = (
+  process.env.INTENT_CLASSIFIER || "regex"
+).toLowerCase();
+const INTENT_MIN_CONFIDENCE =
+  parseFloat(process.env.INTENT_MIN_CONFIDENCE) || 0.6;
+
+// Intent of a plain message: { intent, confidence, source }
+async function detectIntent(ctx, text) {
+  if (INTENT_CLASSIFIER === "llm") {
+    try {
+      const answer = await callOpenAI(text, null, [], {
+        ctx,
+        command: "intent",
+        systemPrompt: INTENT_SYSTEM_PROMPT,
+        maxTokens: 50,
+        temperature: 0,
+      });
+      const result = parseIntentAnswer(answer);
+      if (result && result.confidence >= INTENT_MIN_CONFIDENCE) {
+        return { ...result, source: "llm" };
+      }
+    } catch (error) {
+      logger.error("Intent classification failed, using keywords:", error);
+    }
+  }
+
+  return {
+    intent: detectResponseType(text),
+    confidence: null,
+    source: "regex",
+  };
+}
+
+// Helper function to handle smart responses with context.
+// `options.spoken` sends the answer as a voice message and
+// `options.image` (see getMessageImage) shows the AI an image.
+async function handleSmartResponse(ctx, userText, options = {}) {
+  try {
+    // Check if user is banned before processing AI request
+    const userAllowed = await saveUserInfo(
+      ctx.message.from.id,
+      ctx.message.from,
+      true
+    );
+    if (!userAllowed) {
+      banRejectionCounter.inc({ ban: "permanent" });
+      return false; // User is banned
+    }
+
+    // Apply anti-spam rate limits and usage quotas
+    if (
+      (!options.rateLimited && !(await enforceRateLimit(ctx))) ||
+      !(await enforceQuota(ctx))
+    ) {
+      return false;
+    }
+
+    // Show typing indicator
+    await ctx.replyWithChatAction("typing");
+
+    // The persona has a system prompt for find, agent and talk; the
+    // other intents use the general one (the model is still picked by
+    // intent, e.g. AI_MODEL_TRANSLATE)
+    const { intent } = await detectIntent(ctx, userText);
+    const promptName = ["find", "agent", "talk"].includes(intent)
+      ? intent
+      : "system";
+
+    const images = options.image ? [await loadImage(ctx, options.image)] : [];
+
+    // Continue the conversation this message belongs to
+    const conversation = await loadConversation(ctx);
+    const { response, sentMessages } = await replyWithAI(
+      ctx,
+      intent,
+      userText,
+      promptName,
+      conversation.history,
+      { spoken: options.spoken, images }
+    );
+
+    await recordConversation(
+      conversation,
+      userText,
+      ctx.message.message_id,
+      response,
+      sentMessages.map((m) => m.message_id)
+    );
+
+    return true;
+  } catch (error) {
+    logger.error("Error in smart response:", error);
+    await ctx.reply(getErrorMessage(ctx, error));
+    return false;
+  }
+}
+
+// Error handling middleware
+bot.catch((err) => {
+  const ctx = err.ctx;
+  // Runs outside the update's log context, so its fields are passed here
+  logger.error(
+    "Error while handling update",
+    { correlationId: ctx.correlationId, updateId: ctx.update.update_id },
+    err.error
+  );
+
+  // Inline queries have no chat to reply in, and some updates (e.g. chosen
+  // inline results) have neither. A failed notice must not become an
+  // unhandled rejection, which would end the process.
+  const message = getErrorMessage(ctx, err.error);
+  const notice = ctx.inlineQuery
+    ? answerInlineNotice(ctx, message)
+    : ctx.chat && ctx.reply(message);
+  if (notice) {
+    notice.catch((error) => {
+      logger.error("Error sending the error notice:", error);
+    });
+  }
+});
+
+// Default anti-spam limits (adjustable from the admin settings screen)
+const DEFAULT_ANTISPAM_LIMITS = {
+  userLimit: 5, // AI requests per user per window
+  groupLimit: 20, // AI requests per group per window
+  windowSeconds: 60,
+  floodRepeatLimit: 3, // Identical messages allowed in a row
+  maxViolations: 3, // Violations within 10 minutes before a temporary ban
+  banMinutes: 30,
+};
+
+const FLOOD_WINDOW_MS = 60 * 1000;
+const VIOLATION_WINDOW_MS = 10 * 60 * 1000;
+
+// In-memory anti-spam state
+const rateLimitWindows = new Map(); // "user:<id>" / "group:<id>" -> timestamps
+const floodTrackers = new Map(); // "<chatId>:<userId>" -> { text, count, lastAt }
+const spamViolations = new Map(); // userId -> timestamps
+const cooldownNotices = new Map(); // notice key -> last notice time
+
+// Get the anti-spam limits merged with defaults
+function getAntiSpamLimits(data) {
+  return {
+    ...DEFAULT_ANTISPAM_LIMITS,
+    ...(data.settings.antiSpamLimits || {}),
+  };
+}
+
+// Get an active temporary ban for a user, if any
+function getActiveTempBan(data, userId) {
+  const ban = data.tempBans[userId.toString()];
+  return ban && new Date(ban.until) > new Date() ? ban : null;
+}
+
+// Seconds until the sliding window has room again, 0 if it has room now
+function getSlidingWindowWait(key, limit, windowMs) {
+  const now = Date.now();
+  const hits = (rateLimitWindows.get(key) || []).filter(
+    (time) => now - time < windowMs
+  );
+  rateLimitWindows.set(key, hits);
+
+  if (hits.length < limit) return 0;
+  return Math.max(1, Math.ceil((hits[0] + windowMs - now) / 1000));
+}
+
+function recordSlidingWindowHit(key) {
+  const hits = rateLimitWindows.get(key) || [];
+  hits.push(Date.now());
+  rateLimitWindows.set(key, hits);
+}
+
+// Drop idle entries so the in-memory maps don't grow forever
+function pruneAntiSpamState() {
+  const now = Date.now();
+  for (const [key, hits] of rateLimitWindows) {
+    if (hits.length === 0 || now - hits[hits.length - 1] > 60 * 60 * 1000) {
+      rateLimitWindows.delete(key);
+    }
+  }
+  for (const [key, tracker] of floodTrackers) {
+    if (now - tracker.lastAt > FLOOD_WINDOW_MS) floodTrackers.delete(key);
+  }
+  for (const [key, times] of spamViolations) {
+    if (now - times[times.length - 1] > VIOLATION_WINDOW_MS) {
+      spamViolations.delete(key);
+    }
+  }
+  for (const [key, time] of cooldownNotices) {
+    if (now - time > 60 * 60 * 1000) cooldownNotices.delete(key);
+  }
+}
+
+// Answer a request with a notice: a reply to the user's message, or the
+// only result of their inline query
+async function replyWithNotice(ctx, text) {
+  if (ctx.inlineQuery) {
+    return answerInlineNotice(ctx, text);
+  }
+  return ctx.reply(text, { reply_to_message_id: ctx.message.message_id });
+}
+
+// Reply with a cooldown notice, at most once per interval per key.
+// Inline queries always get it, they don't clutter the chat.
+async function sendCooldownNotice(ctx, key, text, intervalMs = 30 * 1000) {
+  const lastNotice = cooldownNotices.get(key) || 0;
+  if (!ctx.inlineQuery && Date.now() - lastNotice < intervalMs) return;
+
+  cooldownNotices.set(key, Date.now());
+  await replyWithNotice(ctx, text);
+}
+
+// Check if a message is meant for the bot (command, reply, mention or DM)
+async function isAddressedToBot(ctx) {
+  const message = ctx.message;
+  if (
+    ctx.chat.type === "private" ||
+    (message.reply_to_message && isOwnBotMessage(ctx, message.reply_to_message))
+  ) {
+    return true;
+  }
+
+  const data = await readData();
+  const { wakeWords } = getGroupSettings(data.groups[ctx.chat.id]);
+  return findBotAddress(ctx, message, wakeWords).addressed;
+}
+
+// Whether the bot answers a message that isn't a command, like the text
+// handler does: always in private chats and to replies to the bot, in
+// groups depending on the trigger mode chosen in /settings
+async function shouldAnswerMessage(ctx) {
+  const message = ctx.message;
+  if (
+    ctx.chat.type === "private" ||
+    (message.reply_to_message && isOwnBotMessage(ctx, message.reply_to_message))
+  ) {
+    return true;
+  }
+
+  const data = await readData();
+  const { triggerMode, wakeWords } = getGroupSettings(data.groups[ctx.chat.id]);
+  if (triggerMode === "replies") {
+    return false;
+  }
+  return (
+    triggerMode === "all" || findBotAddress(ctx, message, wakeWords).addressed
+  );
+}
+
+// Check if a "/command" or "/command@username" is meant for this bot
+function isOwnCommand(ctx, command) {
+  const username = command.split("@")[1];
+  return !username || username.toLowerCase() === ctx.me.username.toLowerCase();
+}
+
+// Match a wake word as a whole word, so "sahl" doesn't fire on "sahlab"
+function createWakeWordPattern(word, flags = "iu") {
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, flags);
+}
+
+// Find out whether a group message addresses the bot, using the message
+// entities (an @username mention, a text mention of the bot or a
+// /command@username) or one of the group's wake words. Returns the text
+// with the mentions removed, ready to be used as a prompt.
+function findBotAddress(ctx, message, wakeWords = []) {
+  const text = message.text || message.caption || "";
+  const entities = message.entities || message.caption_entities || [];
+  let addressed = false;
+  let cleanText = text;
+
+  // Entity offsets are in UTF-16 code units, like JavaScript strings.
+  // Remove mentions from the end so earlier offsets stay valid.
+  const sorted = [...entities].sort((a, b) => b.offset - a.offset);
+  for (const entity of sorted) {
+    const value = text.slice(entity.offset, entity.offset + entity.length);
+    const isMention =
+      (entity.type === "mention" &&
+        value.toLowerCase() === `@${ctx.me.username.toLowerCase()}`) ||
+      (entity.type === "text_mention" && entity.user?.id === ctx.me.id);
+
+    if (isMention) {
+      addressed = true;
+      cleanText =
+        cleanText.slice(0, entity.offset) +
+        cleanText.slice(entity.offset + entity.length);
+    } else if (
+      entity.type === "bot_command" &&
+      entity.offset === 0 &&
+      isOwnCommand(ctx, value)
+    ) {
+      addressed = true;
+    }
+  }
+
+  cleanText = cleanText
+    .replace(/[ \t]{2,}/g, " ")
+    .replace(/^[\s,:;]+/, "")
+    .trim();
+
+  for (const word of wakeWords) {
+    if (!createWakeWordPattern(word).test(cleanText)) continue;
+    addressed = true;
+
+    // "Sahl, what is..." - drop a wake word that only calls the bot,
+    // but keep one that is part of the sentence
+    const leading = new RegExp(
+      `^${createWakeWordPattern(word).source}[\\s,:;!.?]*`,
+      "iu"
+    );
+    cleanText = cleanText.replace(leading, "").trim();
+    break;
+  }
+
+  return { addressed, text: cleanText };
+}
+
+// Temporarily ban a user and record it in the data store
+async function applyTemporaryBan(userId, minutes, reason) {
+  const ban = await updateData((data) => {
+    const previous = data.tempBans[userId];
+    data.tempBans[userId] = {
+      until: new Date(Date.now() + minutes * 60 * 1000).toISOString(),
+      reason,
+      bannedAt: new Date().toISOString(),
+      count: (previous ? previous.count : 0) + 1,
+    };
+    return data.tempBans[userId];
+  });
+
+  logger.info(
+    `🚫 User ${userId} temporarily banned for ${minutes}m: ${reason}`
+  );
+  return ban;
+}
+
+// Count a spam violation and ban the user after too many of them
+async function recordSpamViolation(ctx, limits, reason) {
+  const userId = ctx.from.id.toString();
+  const now = Date.now();
+  const violations = (spamViolations.get(userId) || []).filter(
+    (time) => now - time < VIOLATION_WINDOW_MS
+  );
+  violations.push(now);
+  spamViolations.set(userId, violations);
+
+  if (violations.length < limits.maxViolations) return;
+
+  spamViolations.delete(userId);
+  await applyTemporaryBan(userId, limits.banMinutes, reason);
+  cooldownNotices.set(`ban:${userId}`, now);
+
+  // The inline query was already answered with the cooldown notice
+  if (ctx.inlineQuery) return;
+  await ctx.reply(ctx.t("antispam.temp_banned", { count: limits.banMinutes }), {
+    reply_to_message_id: ctx.message.message_id,
+  });
+}
+
+// Apply per-user and per-group sliding-window limits to an AI request.
+// Returns false (after replying with a cooldown notice) when over the limit.
+async function enforceRateLimit(ctx) {
+  try {
+    const data = await readData();
+    if (!data.settings.antiSpamEnabled || isSuperAdmin(ctx.from.id, data)) {
+      return true;
+    }
+
+    // Group admins can tighten the limits in /settings. Inline
+    // queries have no chat, only the user limit applies to them.
+    const chat = ctx.chat || {};
+    const limits = getGroupRateLimits(data, data.groups[chat.id]);
+    const windowMs = limits.windowSeconds * 1000;
+    const userKey = `user:${ctx.from.id}`;
+    const groupKey = `group:${chat.id}`;
+    const isGroup = chat.type === "group" || chat.type === "supergroup";
+
+    const userWait = getSlidingWindowWait(userKey, limits.userLimit, windowMs);
+    if (userWait > 0) {
+      await sendCooldownNotice(
+        ctx,
+        userKey,
+        ctx.t("antispam.user_limit", {
+          limit: limits.userLimit,
+          window: limits.windowSeconds,
+          wait: userWait,
+        })
+      );
+      await recordSpamViolation(ctx, limits, "AI request rate limit exceeded");
+      return false;
+    }
+
+    if (isGroup) {
+      const groupWait = getSlidingWindowWait(
+        groupKey,
+        limits.groupLimit,
+        windowMs
+      );
+      if (groupWait > 0) {
+        await sendCooldownNotice(
+          ctx,
+          groupKey,
+          ctx.t("antispam.group_limit", { wait: groupWait })
+        );
+        return false;
+      }
+      recordSlidingWindowHit(groupKey);
+    }
+
+    recordSlidingWindowHit(userKey);
+    return true;
+  } catch (error) {
+    logger.error("Error checking rate limit:", error);
+    return true; // Allow on error
+  }
+}
+
+// Check an incoming message against temporary bans and flood limits.
+// Returns false when the message should be dropped.
+async function checkMessageSpam(ctx) {
+  const message = ctx.message;
+  if (!message || !message.from || message.from.is_bot) {
+    return true;
+  }
+
+  try {
+    const data = await readData();
+    const userId = message.from.id.toString();
+
+    if (isSuperAdmin(userId, data)) {
+      return true;
+    }
+
+    const addressed = await isAddressedToBot(ctx);
+
+    // Temporary bans stay in force until they expire
+    const tempBan = getActiveTempBan(data, userId);
+    if (tempBan) {
+      if (addressed) {
+        banRejectionCounter.inc({ ban: "temporary" });
+        await sendCooldownNotice(
+          ctx,
+          `ban:${userId}`,
+          ctx.t("antispam.banned_until", {
+            until: new Date(tempBan.until).toLocaleString(),
+          }),
+          5 * 60 * 1000
+        );
+      }
+      return false;
+    }
+
+    if (!data.settings.antiSpamEnabled || !addressed) {
+      return true;
+    }
+
+    pruneAntiSpamState();
+
+    // Flood detection: the same text sent over and over
+    const text = (message.text || message.caption || "").trim().toLowerCase();
+    if (!text) {
+      return true;
+    }
+
+    const limits = getAntiSpamLimits(data);
+    const floodKey = `${ctx.chat.id}:${userId}`;
+    const tracker = floodTrackers.get(floodKey);
+    const now = Date.now();
+
+    if (
+      tracker &&
+      tracker.text === text &&
+      now - tracker.lastAt < FLOOD_WINDOW_MS
+    ) {
+      tracker.count += 1;
+      tracker.lastAt = now;
+    } else {
+      floodTrackers.set(floodKey, { text, count: 1, lastAt: now });
+    }
+
+    if (floodTrackers.get(floodKey).count > limits.floodRepeatLimit) {
+      await sendCooldownNotice(
+        ctx,
+        `flood:${floodKey}`,
+        ctx.t("antispam.flood")
+      );
+      await recordSpamViolation(ctx, limits, "Repeated identical messages");
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    logger.error("Error in anti-spam check:", error);
+    return true; // Allow on error
+  }
+}
+
+// Command of a message for bot_commands_total, null for messages without
+// a command or with a command of another bot
+function getCommandMetricLabel(ctx) {
+  const match = (ctx.message?.text || ctx.message?.caption || "").match(
+    /^\/(\w+)(@\w+)?/
+  );
+  if (!match || !isOwnCommand(ctx, match[0])) return null;
+
+  const command = match[1].toLowerCase();
+  return METRIC_COMMANDS.includes(command) ? command : "other";
+}
+
+// Type of an update: "message", "callback_query", "inline_query", ...
+function getUpdateType(ctx) {
+  return Object.keys(ctx.update).find((key) => key !== "update_id");
+}
+
+// Log context of an update: everything logged while it is handled (AI
+// requests, Telegram API calls, errors) carries its correlation id, which
+// is also kept as ctx.correlationId
+bot.use((ctx, next) => {
+  ctx.correlationId = randomBytes(8).toString("hex");
+  const fields = {
+    correlationId: ctx.correlationId,
+    updateId: ctx.update.update_id,
+    chatId: ctx.chat?.id,
+    userId: ctx.from?.id,
+  };
+
+  return withLogContext(fields, async () => {
+    const type = getUpdateType(ctx);
+    const startedAt = Date.now();
+    logger.debug("Update received", { type });
+    await next();
+    logger.info("Update handled", { type, durationMs: Date.now() - startedAt });
+  });
+});
+
+// Log the Telegram API calls (replies, edits, ...) without their content
+bot.api.config.use(async (prev, method, payload, signal) => {
+  const startedAt = Date.now();
+  const result = await prev(method, payload, signal);
+  const fields = {
+    method,
+    chatId: payload && payload.chat_id,
+    durationMs: Date.now() - startedAt,
+  };
+
+  if (result.ok) {
+    logger.debug("Telegram API call", fields);
+  } else {
+    logger.warn("Telegram API call failed", {
+      ...fields,
+      errorCode: result.error_code,
+      description: result.description,
+    });
+  }
+  return result;
+});
+
+// Count updates and commands for /metrics
+bot.use(async (ctx, next) => {
+  updateCounter.inc({ type: getUpdateType(ctx) });
+  const command = getCommandMetricLabel(ctx);
+  if (command) commandCounter.inc({ command });
+  await next();
+});
+
+// Key of the chat an update belongs to. Inline queries have no chat,
+// they are ordered per user.
+function getUpdateChatKey(ctx) {
+  const id = ctx.chat?.id ?? ctx.from?.id;
+  return id === undefined ? undefined : id.toString();
+}
+
+// Updates are handled concurrently (see startBot), but the updates of one
+// chat stay in order
+bot.use(sequentialize(getUpdateChatKey));
+
+// Translation middleware: ctx.t(key, params) translates into the
+// language of the user (see getLocale)
+bot.use(async (ctx, next) => {
+  ctx.locale = getLocale(ctx, await readData());
+  ctx.t = (key, params) => t(ctx.locale, key, params);
+  await next();
+});
+
+// Anti-spam middleware: enforces temporary bans and stops message floods
+bot.use(async (ctx, next) => {
+  if (await checkMessageSpam(ctx)) {
+    await next();
+  }
+});
+
+// Admin panel functions
+function createMainAdminKeyboard(ctx) {
+  return new InlineKeyboard()
+    .text(ctx.t("admin.buttons.stats"), "admin_stats")
+    .text(ctx.t("admin.buttons.users"), "admin_users")
+    .row()
+    .text(ctx.t("admin.buttons.banned_users"), "admin_banned_users")
+    .text(ctx.t("admin.buttons.banned_groups"), "admin_banned_groups")
+    .row()
+    .text(ctx.t("admin.buttons.settings"), "admin_settings")
+    .text(ctx.t("admin.buttons.download"), "admin_download")
+    .row()
+    .text(ctx.t("admin.buttons.personas"), "admin_personas")
+    .text(ctx.t("admin.buttons.refresh"), "admin_refresh");
+}
+
+// Main admin panel message, `footer` tells when it was opened/refreshed
+function createAdminPanelMessage(ctx, data, footer) {
+  const users = Object.values(data.users);
+
+  // Get active users (last 24 hours)
+  const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const activeUsers = users.filter(
+    (user) => new Date(user.lastActivity) > dayAgo
+  ).length;
+
+  // Add current time to make message unique
+  const time = new Date().toLocaleTimeString();
+
+  return `${ctx.t("admin.panel", {
+    users: users.length,
+    requests: data.statistics.totalAiRequests || 0,
+    messages: data.statistics.totalMessages || 0,
+    active: activeUsers,
+    bannedUsers: data.bannedUsers.length,
+    bannedGroups: data.bannedGroups.length,
+    started: new Date(data.statistics.botStarted).toLocaleString(),
+  })}
+${ctx.t(`admin.${footer}`, { time })}`;
+}
+
+function createUserListKeyboard(ctx, users, page = 0, itemsPerPage = 5) {
+  const keyboard = new InlineKeyboard();
+  const startIndex = page * itemsPerPage;
+  const endIndex = startIndex + itemsPerPage;
+  const paginatedUsers = users.slice(startIndex, endIndex);
+
+  paginatedUsers.forEach((user, index) => {
+    const userText = `${user.firstName} ${user.lastName || ""} (@${
+      user.username || "no_username"
+    })`;
+    keyboard.text(userText, `user_${user.id}`).row();
+  });
+
+  // Navigation buttons
+  const navRow = [];
+  if (page > 0) {
+    navRow.push(
+      keyboard.text(ctx.t("admin.buttons.previous"), `users_page_${page - 1}`)
+    );
+  }
+  if (endIndex < users.length) {
+    navRow.push(
+      keyboard.text(ctx.t("admin.buttons.next"), `users_page_${page + 1}`)
+    );
+  }
+  if (navRow.length > 0) keyboard.row();
+
+  keyboard.text(ctx.t("admin.buttons.back_to_admin"), "admin_main");
+  return keyboard;
+}
+
+function createUserActionKeyboard(ctx, userId, isBlocked = false) {
+  const keyboard = new InlineKeyboard();
+
+  if (isBlocked) {
+    keyboard.text(ctx.t("admin.buttons.unblock"), `unblock_user_${userId}`);
+  } else {
+    keyboard.text(ctx.t("admin.buttons.block"), `block_user_${userId}`);
+  }
+
+  keyboard
+    .row()
+    .text(ctx.t("admin.buttons.user_stats"), `user_stats_${userId}`)
+    .text(ctx.t("admin.buttons.back_to_users"), "admin_users");
+
+  return keyboard;
+}
+
+function createUserDetailsMessage(ctx, data, userId) {
+  const user = data.users[userId];
+  const isBlocked = data.bannedUsers.includes(userId);
+  const tempBan = getActiveTempBan(data, userId);
+
+  return ctx.t("admin.user_details", {
+    name: `${user.firstName} ${user.lastName || ""}`,
+    username: user.username || "no_username",
+    id: user.id,
+    joined: new Date(user.joinedAt).toLocaleDateString(),
+    messages: user.messageCount,
+    requests: user.aiRequests || 0,
+    inline: user.inlineQueries || 0,
+    tokens: getPeriodTokens(user.usage, "month").toLocaleString(),
+    lastActivity: new Date(user.lastActivity).toLocaleString(),
+    status: isBlocked
+      ? ctx.t("admin.status_blocked")
+      : tempBan
+      ? ctx.t("admin.status_temp_banned", {
+          until: new Date(tempBan.until).toLocaleString(),
+        })
+      : ctx.t("admin.status_active"),
+  });
+}
+
+// Adjustable anti-spam limits shown on the settings screen
+// (labels are the "limits.<field>" locale keys)
+const ANTISPAM_LIMIT_OPTIONS = {
+  userLimit: { unit: "", step: 1, min: 1, max: 100 },
+  groupLimit: { unit: "", step: 5, min: 5, max: 500 },
+  windowSeconds: { unit: "s", step: 30, min: 30, max: 3600 },
+  floodRepeatLimit: { unit: "", step: 1, min: 2, max: 20 },
+  maxViolations: { unit: "", step: 1, min: 1, max: 20 },
+  banMinutes: { unit: "m", step: 15, min: 15, max: 1440 },
+};
+
+function createSettingsMessage(ctx, data) {
+  const limits = getAntiSpamLimits(data);
+  const state = (enabled) =>
+    ctx.t(enabled ? "admin.enabled" : "admin.disabled");
+
+  return ctx.t("admin.settings", {
+    antiSpam: state(data.settings.antiSpamEnabled),
+    streaming: state(data.settings.streamingEnabled),
+    created: new Date(data.settings.createdAt).toLocaleDateString(),
+    version: data.settings.version,
+    window: limits.windowSeconds,
+    userLimit: limits.userLimit,
+    groupLimit: limits.groupLimit,
+    floodRepeatLimit: limits.floodRepeatLimit,
+    maxViolations: limits.maxViolations,
+    banMinutes: limits.banMinutes,
+  });
+}
+
+function createSettingsKeyboard(ctx, data) {
+  const limits = getAntiSpamLimits(data);
+  const keyboard = new InlineKeyboard()
+    .text(
+      data.settings.antiSpamEnabled
+        ? ctx.t("admin.buttons.disable_antispam")
+        : ctx.t("admin.buttons.enable_antispam"),
+      "toggle_antispam"
+    )
+    .row()
+    .text(
+      data.settings.streamingEnabled
+        ? ctx.t("admin.buttons.disable_streaming")
+        : ctx.t("admin.buttons.enable_streaming"),
+      "toggle_streaming"
+    )
+    .row();
+
+  for (const [field, option] of Object.entries(ANTISPAM_LIMIT_OPTIONS)) {
+    keyboard
+      .text("➖", `antispam_dec_${field}`)
+      .text(
+        `${ctx.t(`limits.${field}`)}: ${limits[field]}${option.unit}`,
+        "settings_info"
+      )
+      .text("➕", `antispam_inc_${field}`)
+      .row();
+  }
+
+  return keyboard
+    .text(ctx.t("admin.buttons.quotas"), "admin_quotas")
+    .row()
+    .text(ctx.t("admin.buttons.back"), "admin_refresh");
+}
+
+// Adjustable token quotas shown on the quotas screen (0 = unlimited,
+// labels are the "quotas.<field>" locale keys)
+const QUOTA_OPTIONS = {
+  userDailyTokens: { step: 10000, max: 1000000 },
+  userMonthlyTokens: { step: 100000, max: 20000000 },
+  groupDailyTokens: { step: 50000, max: 5000000 },
+  groupMonthlyTokens: { step: 500000, max: 100000000 },
+};
+
+// Format a quota for display, 0 means unlimited
+function formatQuota(value) {
+  return value ? value.toLocaleString() : "∞";
+}
+
+function createQuotasMessage(ctx, data) {
+  const quotas = getQuotas(data);
+
+  return ctx.t("admin.quotas", {
+    userDaily: formatQuota(quotas.userDailyTokens),
+    userMonthly: formatQuota(quotas.userMonthlyTokens),
+    groupDaily: formatQuota(quotas.groupDailyTokens),
+    groupMonthly: formatQuota(quotas.groupMonthlyTokens),
+  });
+}
+
+function createQuotasKeyboard(ctx, data) {
+  const quotas = getQuotas(data);
+  const keyboard = new InlineKeyboard();
+
+  for (const field of Object.keys(QUOTA_OPTIONS)) {
+    keyboard
+      .text("➖", `quota_dec_${field}`)
+      .text(
+        `${ctx.t(`quotas.${field}`)}: ${formatQuota(quotas[field])}`,
+        "settings_info"
+      )
+      .text("➕", `quota_inc_${field}`)
+      .row();
+  }
+
+  return keyboard.text(ctx.t("admin.buttons.back"), "admin_settings");
+}
+
+// Escape user-provided text for legacy Markdown messages
+function escapeMarkdown(text) {
+  return String(text).replace(/([_*`\[])/g, "\\$1");
+}
+
+// Format a usage bucket, e.g. "$0.0123 (12,345 tokens)"
+function formatUsageCost(ctx, bucket) {
+  const tokens = bucket ? bucket.promptTokens + bucket.completionTokens : 0;
+  const cost = bucket ? bucket.cost : 0;
+  return ctx.t("admin.usage_cost", {
+    cost: cost.toFixed(4),
+    tokens: tokens.toLocaleString(),
+  });
+}
+
+// Estimated cost section of the detailed statistics view
+function createCostBreakdown(ctx, data) {
+  const usage = data.statistics.usage;
+  const periods = getUsagePeriods();
+  const current = (scope) =>
+    usage && usage[scope] && usage[scope].period === periods[scope]
+      ? usage[scope]
+      : null;
+
+  const models = Object.entries(data.statistics.usageByModel || {})
+    .sort(([, a], [, b]) => b.total.cost - a.total.cost)
+    .map(([model, modelUsage]) =>
+      ctx.t("admin.model_usage", {
+        model: escapeMarkdown(model),
+        count: modelUsage.total.requests,
+        cost: formatUsageCost(ctx, modelUsage.total),
+      })
+    );
+
+  const topUsers = Object.values(data.users)
+    .filter((u) => getPeriodTokens(u.usage, "month") > 0)
+    .sort((a, b) => b.usage.month.cost - a.usage.month.cost)
+    .slice(0, 5)
+    .map(
+      (u, index) =>
+        `${index + 1}. ${escapeMarkdown(
+          u.firstName || u.id
+        )}: ${formatUsageCost(ctx, u.usage.month)}`
+    );
+
+  return ctx.t("admin.cost", {
+    today: formatUsageCost(ctx, current("day")),
+    month: formatUsageCost(ctx, current("month")),
+    total: formatUsageCost(ctx, usage && usage.total),
+    models: models.length > 0 ? models.join("\n") : ctx.t("admin.no_usage"),
+    topUsers:
+      topUsers.length > 0 ? topUsers.join("\n") : ctx.t("admin.no_usage"),
+  });
+}
+
+// Admin command
+bot.command("admin", async (ctx) => {
+  try {
+    const data = await readData();
+
+    if (!isSuperAdmin(ctx.message.from.id, data)) {
+      return ctx.reply(ctx.t("admin.not_authorized"));
+    }
+
+    await ctx.reply(createAdminPanelMessage(ctx, data, "opened_at"), {
+      reply_markup: createMainAdminKeyboard(ctx),
+      parse_mode: "Markdown",
+    });
+  } catch (error) {
+    logger.error("Error in admin command:", error);
+    ctx.reply(ctx.t("admin.load_error"));
+  }
+});
+
+// Handle admin callback queries
+bot.callbackQuery(/^admin_/, async (ctx) => {
+  try {
+    const data = await readData();
+
+    if (!isSuperAdmin(ctx.callbackQuery.from.id, data)) {
+      return ctx.answerCallbackQuery(ctx.t("admin.unauthorized"));
+    }
+
+    const action = ctx.callbackQuery.data;
+    const backKeyboard = new InlineKeyboard().text(
+      ctx.t("admin.buttons.back"),
+      "admin_refresh"
+    );
+
+    switch (action) {
+      case "admin_stats":
+        const users = Object.values(data.users);
+        const groups = Object.values(data.groups);
+        const activeSince = (records, days) =>
+          records.filter(
+            (r) =>
+              new Date(r.lastActivity) >
+              new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+          ).length;
+
+        const statsMessage = `${ctx.t("admin.stats", {
+          users: users.length,
+          usersWeek: activeSince(users, 7),
+          usersMonth: activeSince(users, 30),
+          groups: groups.length,
+          groupsWeek: activeSince(groups, 7),
+          requests: data.statistics.totalAiRequests,
+          inline: data.statistics.totalInlineQueries || 0,
+          messages: data.statistics.totalMessages,
+          average:
+            users.length > 0
+              ? (data.statistics.totalAiRequests / users.length).toFixed(2)
+              : 0,
+        })}
+
+${createCostBreakdown(ctx, data)}`;
+
+        await ctx.editMessageText(statsMessage, {
+          reply_markup: backKeyboard,
+          parse_mode: "Markdown",
+        });
+        break;
+
+      case "admin_users":
+        const allUsers = Object.values(data.users);
+        if (allUsers.length === 0) {
+          await ctx.editMessageText(ctx.t("admin.no_users"), {
+            reply_markup: backKeyboard,
+          });
+        } else {
+          await ctx.editMessageText(
+            ctx.t("admin.users", { count: allUsers.length }),
+            {
+              reply_markup: createUserListKeyboard(ctx, allUsers, 0),
+              parse_mode: "Markdown",
+            }
+          );
+        }
+        break;
+
+      case "admin_banned_users":
+        const bannedUsers = data.bannedUsers.map((id) => {
+          const user = data.users[id];
+          return user
+            ? `${user.firstName} ${user.lastName || ""} (@${
+                user.username || id
+              })`
+            : `ID: ${id}`;
+        });
+
+        // Temporary bans from the anti-spam system
+        const tempBannedUsers = Object.keys(data.tempBans)
+          .filter((id) => getActiveTempBan(data, id))
+          .map((id) => {
+            const user = data.users[id];
+            const name = user
+              ? `${user.firstName} ${user.lastName || ""} (@${
+                  user.username || id
+                })`
+              : `ID: ${id}`;
+            return ctx.t("admin.temp_banned_until", {
+              name,
+              until: new Date(data.tempBans[id].until).toLocaleString(),
+            });
+          });
+
+        let bannedMessage =
+          bannedUsers.length > 0
+            ? ctx.t("admin.banned_users", {
+                count: bannedUsers.length,
+                list: bannedUsers.join("\n"),
+              })
+            : ctx.t("admin.no_banned_users");
+
+        if (tempBannedUsers.length > 0) {
+          bannedMessage += `\n\n${ctx.t("admin.temp_banned_users", {
+            count: tempBannedUsers.length,
+            list: tempBannedUsers.join("\n"),
+          })}`;
+        }
+
+        await ctx.editMessageText(bannedMessage, {
+          reply_markup: backKeyboard,
+          parse_mode: "Markdown",
+        });
+        break;
+
+      case "admin_banned_groups":
+        const bannedGroups = data.bannedGroups.map((id) => {
+          const group = data.groups[id];
+          return group ? `${group.title} (${id})` : `ID: ${id}`;
+        });
+
+        const bannedGroupsMessage =
+          bannedGroups.length > 0
+            ? ctx.t("admin.banned_groups", {
+                count: bannedGroups.length,
+                list: bannedGroups.join("\n"),
+              })
+            : ctx.t("admin.no_banned_groups");
+
+        await ctx.editMessageText(bannedGroupsMessage, {
+          reply_markup: backKeyboard,
+          parse_mode: "Markdown",
+        });
+        break;
+
+      case "admin_settings":
+        await ctx.editMessageText(createSettingsMessage(ctx, data), {
+          reply_markup: createSettingsKeyboard(ctx, data),
+          parse_mode: "Markdown",
+        });
+        break;
+
+      case "admin_quotas":
+        await ctx.editMessageText(createQuotasMessage(ctx, data), {
+          reply_markup: createQuotasKeyboard(ctx, data),
+          parse_mode: "Markdown",
+        });
+        break;
+
+      case "admin_personas":
+        await ctx.editMessageText(
+          ctx.t("admin.personas", {
+            count: Object.keys(data.personas).length,
+          }),
+          {
+            reply_markup: createPersonaListKeyboard(ctx, data),
+            parse_mode: "Markdown",
+          }
+        );
+        break;
+
+      case "admin_download":
+        try {
+          // Read current data and send as document
+          const downloadData = await readData();
+          const dataContent = JSON.stringify(downloadData, null, 2);
+          const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+          const fileName = `bot-data-${timestamp}.json`;
+          
+          // Create a temporary message to inform user
+          await ctx.answerCallbackQuery(ctx.t("admin.preparing_download"));
+          
+          // Send the data as a document
+          await ctx.replyWithDocument(
+            new InputFile(Buffer.from(dataContent), fileName),
+            {
+              caption: ctx.t("admin.download_caption", { date: new Date().toLocaleString(), size: Math.round(Buffer.byteLength(dataContent, 'utf8') / 1024 * 100) / 100 }),
+              reply_to_message_id: ctx.callbackQuery.message.message_id
+            }
+          );
+          
+        } catch (downloadError) {
+          logger.error("Error downloading data:", downloadError);
+          await ctx.answerCallbackQuery(ctx.t("admin.download_error"));
+        }
+        return; // Don't call answerCallbackQuery again
+
+      case "admin_refresh":
+      case "admin_main":
+        // Refresh main admin panel
+        try {
+          await ctx.editMessageText(
+            createAdminPanelMessage(ctx, await readData(), "refreshed_at"),
+            {
+              reply_markup: createMainAdminKeyboard(ctx),
+              parse_mode: "Markdown",
+            }
+          );
+        } catch (editError) {
+          // If edit fails due to same content, just answer callback
+          logger.debug("Message content unchanged, skipping edit");
+        }
+        break;
+    }
+
+    await ctx.answerCallbackQuery();
+  } catch (error) {
+    logger.error("Error in admin callback:", error);
+    ctx.answerCallbackQuery(ctx.t("common.callback_error"));
+  }
+});
+
+// Handle user pagination
+bot.callbackQuery(/^users_page_(\d+)$/, async (ctx) => {
+  try {
+    const data = await readData();
+
+    if (!isSuperAdmin(ctx.callbackQuery.from.id, data)) {
+      return ctx.answerCallbackQuery(ctx.t("admin.unauthorized"));
+    }
+
+    const page = parseInt(ctx.match[1]);
+    const allUsers = Object.values(data.users);
+
+    await ctx.editMessageText(
+      ctx.t("admin.users", { count: allUsers.length }),
+      {
+        reply_markup: createUserListKeyboard(ctx, allUsers, page),
+        parse_mode: "Markdown",
+      }
+    );
+
+    await ctx.answerCallbackQuery();
+  } catch (error) {
+    logger.error("Error in user pagination:", error);
+    ctx.answerCallbackQuery(ctx.t("common.callback_error"));
+  }
+});
+
+// Handle user actions
+bot.callbackQuery(/^user_(\d+)$/, async (ctx) => {
+  try {
+    const data = await readData();
+
+    if (!isSuperAdmin(ctx.callbackQuery.from.id, data)) {
+      return ctx.answerCallbackQuery(ctx.t("admin.unauthorized"));
+    }
+
+    const userId = ctx.match[1];
+    const user = data.users[userId];
+
+    if (!user) {
+      return ctx.answerCallbackQuery(ctx.t("admin.user_not_found"));
+    }
+
+    const isBlocked = data.bannedUsers.includes(userId);
+    const tempBan = getActiveTempBan(data, userId);
+
+    await ctx.editMessageText(createUserDetailsMessage(ctx, data, userId), {
+      reply_markup: createUserActionKeyboard(
+        ctx,
+        userId,
+        isBlocked || !!tempBan
+      ),
+      parse_mode: "Markdown",
+    });
+
+    await ctx.answerCallbackQuery();
+  } catch (error) {
+    logger.error("Error showing user details:", error);
+    ctx.answerCallbackQuery(ctx.t("common.callback_error"));
+  }
+});
+
+// Handle block/unblock user
+bot.callbackQuery(/^(block|unblock)_user_(\d+)$/, async (ctx) => {
+  try {
+    const data = await readData();
+
+    if (!isSuperAdmin(ctx.callbackQuery.from.id, data)) {
+      return ctx.answerCallbackQuery(ctx.t("admin.unauthorized"));
+    }
+
+    const action = ctx.match[1];
+    const userId = ctx.match[2];
+    const user = data.users[userId];
+
+    if (!user) {
+      return ctx.answerCallbackQuery(ctx.t("admin.user_not_found"));
+    }
+
+    if (action === "block") {
+      if (!data.bannedUsers.includes(userId)) {
+        await updateData((data) => {
+          data.bannedUsers.push(userId);
+          data.users[userId].isBlocked = true;
+        });
+        await ctx.answerCallbackQuery(
+          ctx.t("admin.user_blocked", { name: user.firstName })
+        );
+      } else {
+        await ctx.answerCallbackQuery(ctx.t("admin.already_blocked"));
+      }
+    } else {
+      const index = data.bannedUsers.indexOf(userId);
+      const activeTempBan = getActiveTempBan(data, userId);
+      if (index > -1 || activeTempBan) {
+        await updateData((data) => {
+          if (index > -1) data.bannedUsers.splice(index, 1);
+          delete data.tempBans[userId];
+          data.users[userId].isBlocked = false;
+        });
+        await ctx.answerCallbackQuery(
+          ctx.t("admin.user_unblocked", { name: user.firstName })
+        );
+      } else {
+        await ctx.answerCallbackQuery(ctx.t("admin.not_blocked"));
+      }
+    }
+
+    // Refresh the user details
+    const isBlocked = data.bannedUsers.includes(userId);
+    const tempBan = getActiveTempBan(data, userId);
+
+    await ctx.editMessageText(createUserDetailsMessage(ctx, data, userId), {
+      reply_markup: createUserActionKeyboard(
+        ctx,
+        userId,
+        isBlocked || !!tempBan
+      ),
+      parse_mode: "Markdown",
+    });
+  } catch (error) {
+    logger.error("Error blocking/unblocking user:", error);
+    ctx.answerCallbackQuery(ctx.t("common.callback_error"));
+  }
+});
+
+// Handle toggle anti-spam
+bot.callbackQuery("toggle_antispam", async (ctx) => {
+  try {
+    const data = await readData();
+
+    if (!isSuperAdmin(ctx.callbackQuery.from.id, data)) {
+      return ctx.answerCallbackQuery(ctx.t("admin.unauthorized"));
+    }
+
+    await updateData((data) => {
+      data.settings.antiSpamEnabled = !data.settings.antiSpamEnabled;
+    });
+
+    await ctx.editMessageText(createSettingsMessage(ctx, data), {
+      reply_markup: createSettingsKeyboard(ctx, data),
+      parse_mode: "Markdown",
+    });
+
+    await ctx.answerCallbackQuery(
+      ctx.t(
+        data.settings.antiSpamEnabled
+          ? "admin.antispam_enabled"
+          : "admin.antispam_disabled"
+      )
+    );
+  } catch (error) {
+    logger.error("Error toggling anti-spam:", error);
+    ctx.answerCallbackQuery(ctx.t("common.callback_error"));
+  }
+});
+
+// Handle toggle streaming replies
+bot.callbackQuery("toggle_streaming", async (ctx) => {
+  try {
+    const data = await readData();
+
+    if (!isSuperAdmin(ctx.callbackQuery.from.id, data)) {
+      return ctx.answerCallbackQuery(ctx.t("admin.unauthorized"));
+    }
+
+    await updateData((data) => {
+      data.settings.streamingEnabled = !data.settings.streamingEnabled;
+    });
+
+    await ctx.editMessageText(createSettingsMessage(ctx, data), {
+      reply_markup: createSettingsKeyboard(ctx, data),
+      parse_mode: "Markdown",
+    });
+
+    await ctx.answerCallbackQuery(
+      ctx.t(
+        data.settings.streamingEnabled
+          ? "admin.streaming_enabled"
+          : "admin.streaming_disabled"
+      )
+    );
+  } catch (error) {
+    logger.error("Error toggling streaming:", error);
+    ctx.answerCallbackQuery(ctx.t("common.callback_error"));
+  }
+});
+
+// Handle anti-spam limit adjustments
+bot.callbackQuery(/^antispam_(inc|dec)_(\w+)$/, async (ctx) => {
+  try {
+    const data = await readData();
+
+    if (!isSuperAdmin(ctx.callbackQuery.from.id, data)) {
+      return ctx.answerCallbackQuery(ctx.t("admin.unauthorized"));
+    }
+
+    const direction = ctx.match[1];
+    const field = ctx.match[2];
+    const option = ANTISPAM_LIMIT_OPTIONS[field];
+    const label = ctx.t(`limits.${field}`);
+
+    if (!option) {
+      return ctx.answerCallbackQuery(ctx.t("admin.unknown_setting"));
+    }
+
+    const limits = getAntiSpamLimits(data);
+    const delta = direction === "inc" ? option.step : -option.step;
+    const value = Math.min(
+      option.max,
+      Math.max(option.min, limits[field] + delta)
+    );
+
+    if (value === limits[field]) {
+      return ctx.answerCallbackQuery(
+        ctx.t(direction === "inc" ? "admin.at_maximum" : "admin.at_minimum", {
+          label,
+        })
+      );
+    }
+
+    await updateData((data) => {
+      data.settings.antiSpamLimits = { ...limits, [field]: value };
+    });
+
+    await ctx.editMessageText(createSettingsMessage(ctx, data), {
+      reply_markup: createSettingsKeyboard(ctx, data),
+      parse_mode: "Markdown",
+    });
+
+    await ctx.answerCallbackQuery(`${label}: ${value}${option.unit}`);
+  } catch (error) {
+    logger.error("Error updating anti-spam limits:", error);
+    ctx.answerCallbackQuery(ctx.t("common.callback_error"));
+  }
+});
+
+// Handle usage quota adjustments
+bot.callbackQuery(/^quota_(inc|dec)_(\w+)$/, async (ctx) => {
+  try {
+    const data = await readData();
+
+    if (!isSuperAdmin(ctx.callbackQuery.from.id, data)) {
+      return ctx.answerCallbackQuery(ctx.t("admin.unauthorized"));
+    }
+
+    const direction = ctx.match[1];
+    const field = ctx.match[2];
+    const option = QUOTA_OPTIONS[field];
+    const label = ctx.t(`quotas.${field}`);
+
+    if (!option) {
+      return ctx.answerCallbackQuery(ctx.t("admin.unknown_setting"));
+    }
+
+    const quotas = getQuotas(data);
+    const delta = direction === "inc" ? option.step : -option.step;
+    const value = Math.min(option.max, Math.max(0, quotas[field] + delta));
+
+    if (value === quotas[field]) {
+      return ctx.answerCallbackQuery(
+        ctx.t(direction === "inc" ? "admin.at_maximum" : "admin.at_minimum", {
+          label,
+        })
+      );
+    }
+
+    await updateData((data) => {
+      data.settings.quotas = { ...quotas, [field]: value };
+    });
+
+    await ctx.editMessageText(createQuotasMessage(ctx, data), {
+      reply_markup: createQuotasKeyboard(ctx, data),
+      parse_mode: "Markdown",
+    });
+
+    await ctx.answerCallbackQuery(`${label}: ${formatQuota(value)}`);
+  } catch (error) {
+    logger.error("Error updating quotas:", error);
+    ctx.answerCallbackQuery(ctx.t("common.callback_error"));
+  }
+});
+
+// Labels only, nothing to do
+bot.callbackQuery("settings_info", (ctx) => ctx.answerCallbackQuery());
+
+// Longest prompt shown on the persona screen of the admin panel
+const PERSONA_PREVIEW_LENGTH = 300;
+
+// Prompt edits started from the admin panel, by super admin id:
+// { chatId, key, promptName, expiresAt }. The next text message in that
+// chat becomes the new prompt.
+const pendingPersonaEdits = new Map();
+const PERSONA_EDIT_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Personas as "key - name" lines, the one in use marked
+function createPersonaList(data, currentKey) {
+  return Object.entries(data.personas)
+    .map(
+      ([key, persona]) =>
+        `${key === currentKey ? "▶️" : "•"} ${key} - ${persona.name}`
+    )
+    .join("\n");
+}
+
+// The prompts of a persona, shortened to `maxLength` characters if given
+function createPersonaDetails(ctx, data, key, maxLength = Infinity) {
+  const persona = data.personas[key];
+  const lines = [
+    ctx.t("persona.details", {
+      persona: persona.name,
+      key,
+      version: persona.version,
+      date: new Date(persona.updatedAt).toLocaleString(),
+    }),
+  ];
+
+  for (const promptName of PERSONA_PROMPTS) {
+    const prompt = persona.prompts[promptName];
+    lines.push("", `[${promptName}]`);
+    if (!prompt) {
+      lines.push(
+        ctx.t(key === "default" ? "persona.empty" : "persona.inherited")
+      );
+    } else if (prompt.length > maxLength) {
+      lines.push(`${prompt.slice(0, maxLength)}…`);
+    } else {
+      lines.push(prompt);
+    }
+  }
+
+  return lines.join("\n");
+}
+
+function createPersonaHistoryMessage(ctx, data, key) {
+  const persona = data.personas[key];
+  const versions = [...persona.history, persona].map((entry) => {
+    const author = data.users[entry.updatedBy];
+    return ctx.t(
+      entry === persona ? "persona.history_current" : "persona.history_entry",
+      {
+        version: entry.version,
+        date: new Date(entry.updatedAt).toLocaleString(),
+        author: entry.updatedBy
+          ? (author && author.firstName) || entry.updatedBy
+          : ctx.t("persona.builtin"),
+      }
+    );
+  });
+
+  return `${ctx.t("persona.history_title", {
+    persona: persona.name,
+  })}\n\n${versions.join("\n")}`;
+}
+
+function createPersonaListKeyboard(ctx, data) {
+  const keyboard = new InlineKeyboard();
+
+  Object.entries(data.personas).forEach(([key, persona], index) => {
+    keyboard.text(persona.name, `persona_view_${key}`);
+    if (index % 2 === 1) keyboard.row();
+  });
+
+  return keyboard.row().text(ctx.t("admin.buttons.back"), "admin_refresh");
+}
+
+function createPersonaKeyboard(ctx, key) {
+  const keyboard = new InlineKeyboard();
+
+  PERSONA_PROMPTS.forEach((promptName, index) => {
+    keyboard.text(
+      ctx.t("persona.buttons.edit", { prompt: promptName }),
+      `persona_edit_${promptName}_${key}`
+    );
+    if (index % 3 === 2) keyboard.row();
+  });
+
+  keyboard
+    .row()
+    .text(ctx.t("persona.buttons.history"), `persona_history_${key}`);
+  if (key !== "default") {
+    keyboard.text(ctx.t("persona.buttons.delete"), `persona_delete_${key}`);
+  }
+
+  return keyboard.row().text(ctx.t("admin.buttons.back"), "admin_personas");
+}
+
+function createPersonaHistoryKeyboard(ctx, data, key) {
+  const keyboard = new InlineKeyboard();
+
+  data.personas[key].history.forEach((entry, index) => {
+    keyboard.text(
+      ctx.t("persona.buttons.restore", { version: entry.version }),
+      `persona_restore_${entry.version}_${key}`
+    );
+    if (index % 4 === 3) keyboard.row();
+  });
+
+  return keyboard
+    .row()
+    .text(ctx.t("admin.buttons.back"), `persona_view_${key}`);
+}
+
+// Locale key of the error when a prompt change is not allowed, else null.
+// An empty text removes the prompt.
+function validatePromptChange(key, promptName, text) {
+  if (!PERSONA_PROMPTS.includes(promptName)) {
+    return "persona.invalid_prompt";
+  }
+  if (!text && key === "default" && promptName !== "style") {
+    return "persona.required_prompt";
+  }
+  return null;
+}
+
+// Change one prompt of a persona (creating the persona if needed).
+// Call inside updateData.
+function setPersonaPrompt(data, key, promptName, text, userId) {
+  const prompts = { ...(hasPersona(data, key) && data.personas[key].prompts) };
+  if (text) {
+    prompts[promptName] = text;
+  } else {
+    delete prompts[promptName];
+  }
+  return savePersonaVersion(data, key, { prompts }, userId);
+}
+
+// Make an earlier version of a persona current again, as a new version.
+// Returns null if the persona has no such version. Call inside updateData.
+function restorePersonaVersion(data, key, version, userId) {
+  const entry = data.personas[key].history.find((e) => e.version === version);
+  if (!entry) return null;
+
+  return savePersonaVersion(
+    data,
+    key,
+    { name: entry.name, prompts: { ...entry.prompts } },
+    userId
+  );
+}
+
+// /persona command - Show the personas and choose one: /persona use <key>
+// (in groups for group admins). The super admin manages them with
+// /persona show|set|name|history|restore|delete <key> ...
+bot.command("persona", async (ctx) => {
+  const userAllowed = await saveUserInfo(ctx.message.from.id, ctx.message.from);
+  if (!userAllowed) {
+    return replyBanned(ctx);
+  }
+
+  const isGroup = ctx.chat.type === "group" || ctx.chat.type === "supergroup";
+  if (isGroup) {
+    const groupAllowed = await saveGroupInfo(ctx.chat.id, ctx.chat);
+    if (!groupAllowed) {
+      return;
+    }
+  }
+
+  const [, action, key, rest] = ctx.match
+    .trim()
+    .match(/^(\S*)\s*(\S*)\s*([\s\S]*)$/);
+
+  try {
+    const data = await readData();
+
+    if (!action) {
+      const current = getPersonaKey(data, ctx);
+      let message = `${ctx.t(
+        isGroup ? "persona.current_group" : "persona.current_user",
+        { persona: getPersonaName(data, current) }
+      )}
+
+${ctx.t("persona.list")}
+${createPersonaList(data, current)}
+
+${ctx.t("persona.usage")}`;
+      if (isSuperAdmin(ctx.from.id, data)) {
+        message += `\n\n${ctx.t("persona.admin_usage")}`;
+      }
+      return ctx.reply(message);
+    }
+
+    if (action === "use") {
+      if (!hasPersona(data, key)) {
+        return ctx.reply(ctx.t("persona.not_found", { key }));
+      }
+      const persona = data.personas[key];
+
+      if (isGroup) {
+        if (!(await isChatAdmin(ctx))) {
+          return ctx.reply(ctx.t("persona.admins_only"), {
+            reply_to_message_id: ctx.message.message_id,
+          });
+        }
+        await updateData((data) => {
+          const group = data.groups[ctx.chat.id];
+          group.settings = { ...getGroupSettings(group), persona: key };
+        });
+        return ctx.reply(
+          ctx.t("persona.selected_group", { persona: persona.name })
+        );
+      }
+
+      await updateData((data) => {
+        data.users[ctx.from.id].persona = key;
+      });
+      return ctx.reply(
+        ctx.t("persona.selected_user", { persona: persona.name })
+      );
+    }
+
+    // Everything else manages the personas
+    if (!isSuperAdmin(ctx.from.id, data)) {
+      return ctx.reply(ctx.t("admin.not_authorized"));
+    }
+    if (
+      !["show", "set", "name", "history", "restore", "delete"].includes(action)
+    ) {
+      return ctx.reply(ctx.t("persona.admin_usage"));
+    }
+    if (!isValidPersonaKey(key)) {
+      return ctx.reply(ctx.t("persona.invalid_key"));
+    }
+    // /persona set creates new personas
+    if (action !== "set" && !hasPersona(data, key)) {
+      return ctx.reply(ctx.t("persona.not_found", { key }));
+    }
+
+    const userId = ctx.from.id;
+    switch (action) {
+      case "show":
+        for (const chunk of splitTextIntoChunks(
+          createPersonaDetails(ctx, data, key),
+          4000
+        )) {
+          await ctx.reply(chunk);
+        }
+        return;
+
+      case "set": {
+        const [, promptName, text] = rest.match(/^(\S*)\s*([\s\S]*)$/);
+        const error = validatePromptChange(key, promptName, text.trim());
+        if (error) {
+          return ctx.reply(
+            ctx.t(error, {
+              prompt: promptName,
+              prompts: PERSONA_PROMPTS.join(", "),
+            })
+          );
+        }
+        const persona = await updateData((data) =>
+          setPersonaPrompt(data, key, promptName, text.trim(), userId)
+        );
+        return ctx.reply(
+          ctx.t("persona.saved", {
+            persona: persona.name,
+            version: persona.version,
+          })
+        );
+      }
+
+      case "name": {
+        if (!rest) {
+          return ctx.reply(ctx.t("persona.invalid_name"));
+        }
+        const persona = await updateData((data) =>
+          savePersonaVersion(data, key, { name: rest.slice(0, 64) }, userId)
+        );
+        return ctx.reply(
+          ctx.t("persona.saved", {
+            persona: persona.name,
+            version: persona.version,
+          })
+        );
+      }
+
+      case "history":
+        return ctx.reply(createPersonaHistoryMessage(ctx, data, key));
+
+      case "restore": {
+        const name = data.personas[key].name;
+        const persona = await updateData((data) =>
+          restorePersonaVersion(data, key, Number(rest), userId)
+        );
+        if (!persona) {
+          return ctx.reply(
+            ctx.t("persona.version_not_found", { persona: name, version: rest })
+          );
+        }
+        return ctx.reply(
+          ctx.t("persona.restored", {
+            persona: persona.name,
+            version: rest,
+            current: persona.version,
+          })
+        );
+      }
+
+      case "delete": {
+        if (key === "default") {
+          return ctx.reply(ctx.t("persona.cannot_delete_default"));
+        }
+        const name = data.personas[key].name;
+        await updateData((data) => {
+          delete data.personas[key];
+        });
+        return ctx.reply(ctx.t("persona.deleted", { persona: name }));
+      }
+    }
+  } catch (error) {
+    logger.error("Error in /persona command:", error);
+    await ctx.reply(ctx.t("common.error"));
+  }
+});
+
+// Handle the persona screens of the admin panel
+bot.callbackQuery(/^persona_/, async (ctx) => {
+  try {
+    const data = await readData();
+    const userId = ctx.callbackQuery.from.id;
+
+    if (!isSuperAdmin(userId, data)) {
+      return ctx.answerCallbackQuery(ctx.t("admin.unauthorized"));
+    }
+
+    const action = ctx.callbackQuery.data;
+    if (action === "persona_cancel") {
+      pendingPersonaEdits.delete(userId);
+      await ctx.editMessageText(ctx.t("persona.edit_cancelled"));
+      return ctx.answerCallbackQuery();
+    }
+
+    let match;
+    let screen = "view";
+    let key;
+    let notice = "";
+
+    if ((match = action.match(/^persona_(view|history|delete)_(\w+)$/))) {
+      [, screen, key] = match;
+    } else if ((match = action.match(/^persona_edit_([a-z]+)_(\w+)$/))) {
+      screen = "edit";
+      key = match[2];
+    } else if ((match = action.match(/^persona_restore_(\d+)_(\w+)$/))) {
+      screen = "restore";
+      key = match[2];
+    }
+
+    if (!hasPersona(data, key)) {
+      return ctx.answerCallbackQuery(ctx.t("persona.not_found", { key }));
+    }
+
+    if (screen === "edit") {
+      const promptName = match[1];
+      pendingPersonaEdits.set(userId, {
+        chatId: ctx.chat.id,
+        key,
+        promptName,
+        expiresAt: Date.now() + PERSONA_EDIT_TIMEOUT_MS,
+      });
+      await ctx.reply(
+        ctx.t("persona.edit_request", {
+          prompt: promptName,
+          persona: data.personas[key].name,
+        }),
+        {
+          reply_markup: new InlineKeyboard().text(
+            ctx.t("persona.buttons.cancel"),
+            "persona_cancel"
+          ),
+        }
+      );
+      return ctx.answerCallbackQuery();
+    }
+
+    if (screen === "delete") {
+      if (key === "default") {
+        return ctx.answerCallbackQuery(ctx.t("persona.cannot_delete_default"));
+      }
+      const name = data.personas[key].name;
+      await updateData((data) => {
+        delete data.personas[key];
+      });
+      await ctx.editMessageText(
+        ctx.t("admin.personas", { count: Object.keys(data.personas).length }),
+        {
+          reply_markup: createPersonaListKeyboard(ctx, data),
+          parse_mode: "Markdown",
+        }
+      );
+      return ctx.answerCallbackQuery(
+        ctx.t("persona.deleted", { persona: name })
+      );
+    }
+
+    if (screen === "restore") {
+      const version = Number(match[1]);
+      const persona = await updateData((data) =>
+        restorePersonaVersion(data, key, version, userId)
+      );
+      notice = persona
+        ? ctx.t("persona.restored", {
+            persona: persona.name,
+            version,
+            current: persona.version,
+          })
+        : ctx.t("persona.version_not_found", {
+            persona: data.personas[key].name,
+            version,
+          });
+    }
+
+    if (screen === "history") {
+      await ctx.editMessageText(createPersonaHistoryMessage(ctx, data, key), {
+        reply_markup: createPersonaHistoryKeyboard(ctx, data, key),
+      });
+    } else {
+      await ctx.editMessageText(
+        createPersonaDetails(ctx, data, key, PERSONA_PREVIEW_LENGTH),
+        { reply_markup: createPersonaKeyboard(ctx, key) }
+      );
+    }
+
+    await ctx.answerCallbackQuery(notice);
+  } catch (error) {
+    logger.error("Error in persona callback:", error);
+    ctx.answerCallbackQuery(ctx.t("common.callback_error"));
+  }
+});
+
+// Save the prompt the super admin sends after pressing an edit button of
+// the persona screen ("-" removes the prompt)
+bot.on("message:text", async (ctx, next) => {
+  const edit = pendingPersonaEdits.get(ctx.from.id);
+  if (
+    !edit ||
+    edit.chatId !== ctx.chat.id ||
+    ctx.message.text.startsWith("/")
+  ) {
+    return next();
+  }
+
+  pendingPersonaEdits.delete(ctx.from.id);
+  if (edit.expiresAt < Date.now()) {
+    return next();
+  }
+
+  try {
+    const data = await readData();
+    if (!isSuperAdmin(ctx.from.id, data)) {
+      return next();
+    }
+    if (!hasPersona(data, edit.key)) {
+      return ctx.reply(ctx.t("persona.not_found", { key: edit.key }));
+    }
+
+    const text = ctx.message.text.trim() === "-" ? "" : ctx.message.text.trim();
+    const error = validatePromptChange(edit.key, edit.promptName, text);
+    if (error) {
+      return ctx.reply(ctx.t(error, { prompt: edit.promptName }));
+    }
+
+    const persona = await updateData((data) =>
+      setPersonaPrompt(data, edit.key, edit.promptName, text, ctx.from.id)
+    );
+    await ctx.reply(
+      ctx.t("persona.saved", {
+        persona: persona.name,
+        version: persona.version,
+      }),
+      {
+        reply_markup: new InlineKeyboard().text(
+          persona.name,
+          `persona_view_${edit.key}`
+        ),
+      }
+    );
+  } catch (error) {
+    logger.error("Error saving persona prompt:", error);
+    await ctx.reply(ctx.t("common.error"));
+  }
+});
+
+// Start command
+bot.command("start", async (ctx) => {
+  // Save user information when they start the bot
+  const userAllowed = await saveUserInfo(ctx.message.from.id, ctx.message.from);
+  if (!userAllowed) {
+    return replyBanned(ctx);
+  }
+
+  // Save group info if in group
+  if (ctx.chat.type === "group" || ctx.chat.type === "supergroup") {
+    const groupAllowed = await saveGroupInfo(ctx.chat.id, ctx.chat);
+    if (!groupAllowed) {
+      return; // Group is banned
+    }
+  }
+
+  ctx.reply(ctx.t("start"));
+});
+
+// Help command
+bot.command("help", (ctx) => {
+  ctx.reply(ctx.t("help", { bot: ctx.me.username }));
+});
+
+// AI commands: prompt builder, persona prompt used as system prompt and
+// whether the earlier conversation is sent along (usage hints are
+// "command_usage.<name>")
+const AI_COMMANDS = {
+  find: {
+    buildPrompt: (text) =>
+      `Please provide a concise answer (2-5 sentences maximum) to this question: ${text}`,
+    withHistory: true,
+  },
+  agent: {
+    buildPrompt: (
+      text
+    ) => `Act as a smart assistant and provide detailed step-by-step solutions, brainstorming ideas, or comprehensive instructions for this request: ${text}
+        
+        Please provide alternatives, improvements, or suggestions where appropriate. Be thorough but organized.`,
+    withHistory: true,
+  },
+  translate: {
+    buildPrompt: (text) => {
+      // Parse the translation request
+      const langRegex = /^\[([a-z]{2})->([a-z]{2})\]\s*([\s\S]+)$/i;
+      const match = text.match(langRegex);
+
+      if (match) {
+        const [, sourceLang, targetLang, textToTranslate] = match;
+        return `Translate the following text from ${sourceLang} to ${targetLang}. Provide only the translation, nothing else: ${textToTranslate}`;
+      }
+      // If no language specification, try to detect and ask for clarification
+      return `Please translate this text to English (or if it's already in English, translate to Spanish). If you're unsure about the source language, please detect it first: ${text}`;
+    },
+  },
+  summarize: {
+    buildPrompt: (text) =>
+      `Please summarize the following text in 2-4 sentences maximum. Focus on the key points and main ideas: ${text}`,
+  },
+  improve: {
+    buildPrompt: (text) =>
+      `Please improve the following text by fixing grammar, enhancing clarity, and making it more professional while keeping the original meaning: ${text}`,
+  },
+  talk: {
+    buildPrompt: (text) => text,
+    promptName: "talk",
+    withHistory: true,
+  },
+};
+
+// Run an AI command on `text` and reply with the answer.
+// `options.spoken` sends the answer as a voice message and
+// `options.image` (see getMessageImage) runs the command on an image.
+// Replying to a photo with a command runs it on that photo, replying to
+// a text message runs it on that text; replying to a document with
+// /summarize or /translate goes to runDocumentCommand.
+async function runAICommand(ctx, command, text, options = {}) {
+  const {
+    buildPrompt,
+    promptName = "system",
+    withHistory = false,
+  } = AI_COMMANDS[command];
+
+  if (await isCommandDisabled(ctx, command)) {
+    return;
+  }
+
+  // Replying to a document with /summarize or /translate processes the file
+  const documentFile = getMessageDocument(ctx.message.reply_to_message);
+  if (documentFile && (command === "summarize" || command === "translate")) {
+    return runDocumentCommand(ctx, command, text, documentFile);
+  }
+
+  const image = options.image || getMessageImage(ctx.message.reply_to_message);
+  if (image) {
+    if (image.fileSize > MAX_IMAGE_BYTES) {
+      return ctx.reply(ctx.t("image.too_large"), {
+        reply_to_message_id: ctx.message.message_id,
+      });
+    }
+    text = `${text || ""} (see the attached image)`.trim();
+  }
+
+  // A text command replying to a message works on that message (or the
+  // quoted part of it). An argument then acts as an instruction, e.g.
+  // "/summarize in 3 bullets"; for /translate a leading [xx->yy] still
+  // picks the languages.
+  let instruction = "";
+  const replied = ctx.message.reply_to_message;
+  const repliedText =
+    ctx.message.quote?.text || replied?.text || replied?.caption;
+  if (!image && ctx.message.text && repliedText) {
+    let languages = "";
+    instruction = (text || "").trim();
+    if (command === "translate") {
+      const match = instruction.match(
+        /^(\[[a-z]{2}->[a-z]{2}\])\s*([\s\S]*)$/i
+      );
+      if (match) [, languages, instruction] = match;
+    }
+    text = languages ? `${languages} ${repliedText}` : repliedText;
+  }
+
+  if (!text || text.trim().length === 0) {
+    return ctx.reply(ctx.t(`command_usage.${command}`));
+  }
+
+  try {
+    // Check if user is banned before processing AI request
+    const userAllowed = await saveUserInfo(
+      ctx.message.from.id,
+      ctx.message.from,
+      true
+    );
+    if (!userAllowed) {
+      return replyBanned(ctx);
+    }
+
+    // Apply anti-spam rate limits and usage quotas
+    if (
+      (!options.rateLimited && !(await enforceRateLimit(ctx))) ||
+      !(await enforceQuota(ctx))
+    ) {
+      return;
+    }
+
+    // Show typing indicator
+    await ctx.replyWithChatAction("typing");
+
+    let prompt = buildPrompt(text);
+    if (instruction) {
+      prompt += `\n\nFollow this additional instruction from the user: ${instruction}`;
+    }
+
+    const images = image ? [await loadImage(ctx, image)] : [];
+    const conversation = await loadConversation(ctx);
+    const { response, sentMessages } = await replyWithAI(
+      ctx,
+      command,
+      prompt,
+      promptName,
+      withHistory ? conversation.history : [],
+      { spoken: options.spoken, images }
+    );
+
+    // Remember the exchange so follow-up replies keep the context
+    await recordConversation(
+      conversation,
+      instruction ? `${text}\n\n${instruction}` : text,
+      ctx.message.message_id,
+      response,
+      sentMessages.map((m) => m.message_id)
+    );
+  } catch (error) {
+    logger.error(`Error in /${command} command:`, error);
+    await ctx.reply(getErrorMessage(ctx, error));
+  }
+}
+
+// Summarize a long text: summarize every chunk, then combine the
+// summaries until they fit into one final summary (map-reduce)
+async function summarizeLongText(ctx, text, reportProgress) {
+  let chunks = splitTextIntoChunks(text, SUMMARY_CHUNK_CHARACTERS);
+
+  for (let round = 1; chunks.length > 1; round++) {
+    const summaries = [];
+    for (const [index, chunk] of chunks.entries()) {
+      await reportProgress(
+        ctx.t(
+          round > 1
+            ? "document.summarizing_part_round"
+            : "document.summarizing_part",
+          { part: index + 1, total: chunks.length, round }
+        )
+      );
+      summaries.push(
+        await callOpenAI(
+          `Summarize this part (${index + 1} of ${
+            chunks.length
+          }) of a longer document. Keep all key points, facts and names, as a short list: ${chunk}`,
+          "system",
+          [],
+          { ctx, command: "summarize" }
+        )
+      );
+    }
+    chunks = splitTextIntoChunks(
+      summaries.join("\n\n"),
+      SUMMARY_CHUNK_CHARACTERS
+    );
+  }
+
+  await reportProgress(ctx.t("document.writing_summary"));
+  return callOpenAI(
+    `Please summarize the following document (or notes on its parts) in one short paragraph followed by its key points. Focus on the main ideas: ${chunks[0]}`,
+    "system",
+    [],
+    { ctx, command: "summarize" }
+  );
+}
+
+// Translate a long text chunk by chunk
+async function translateLongText(ctx, text, languages, reportProgress) {
+  const chunks = splitTextIntoChunks(text, TRANSLATION_CHUNK_CHARACTERS);
+  const direction = languages
+    ? `from ${languages.source} to ${languages.target}`
+    : "to English (or if it's already in English, to Spanish)";
+
+  const translations = [];
+  for (const [index, chunk] of chunks.entries()) {
+    await reportProgress(
+      ctx.t("document.translating_part", {
+        part: index + 1,
+        total: chunks.length,
+      })
+    );
+    translations.push(
+      await callOpenAI(
+        `Translate the following text ${direction}. Keep the formatting and provide only the translation, nothing else: ${chunk}`,
+        "system",
+        [],
+        { ctx, command: "translate", maxTokens: 4096 }
+      )
+    );
+  }
+
+  return translations.join("\n\n");
+}
+
+// Run /summarize or /translate on a document (see getMessageDocument).
+// Long translations are sent back as a text file.
+async function runDocumentCommand(ctx, command, args, documentFile) {
+  try {
+    // Check if user is banned before processing AI request
+    const userAllowed = await saveUserInfo(
+      ctx.message.from.id,
+      ctx.message.from,
+      true
+    );
+    if (!userAllowed) {
+      return replyBanned(ctx);
+    }
+
+    // Apply anti-spam rate limits and usage quotas
+    if (!(await enforceRateLimit(ctx)) || !(await enforceQuota(ctx))) {
+      return;
+    }
+
+    const replyOptions = { reply_to_message_id: ctx.message.message_id };
+    if (documentFile.fileSize > TELEGRAM_DOWNLOAD_LIMIT) {
+      return ctx.reply(ctx.t("document.too_large"), replyOptions);
+    }
+
+    let languages = null;
+    if (command === "translate") {
+      const match = (args || "").match(/^\[([a-z]{2})->([a-z]{2})\]/i);
+      if (match) languages = { source: match[1], target: match[2] };
+    }
+
+    // A status message shows the progress and is removed at the end
+    const status = await ctx.reply(ctx.t("document.reading"), replyOptions);
+    const reportProgress = (text) =>
+      ctx.api
+        .editMessageText(ctx.chat.id, status.message_id, text)
+        .catch(() => {});
+
+    try {
+      const { buffer } = await downloadTelegramFile(ctx, documentFile.fileId);
+      let text = (await extractDocumentText(buffer, documentFile.type)).trim();
+
+      if (!text) {
+        return ctx.reply(ctx.t("document.no_text"), replyOptions);
+      }
+
+      let notice = "";
+      if (text.length > MAX_DOCUMENT_CHARACTERS) {
+        text = text.slice(0, MAX_DOCUMENT_CHARACTERS);
+        notice = `\n\n${ctx.t("document.truncated", {
+          characters: MAX_DOCUMENT_CHARACTERS.toLocaleString(),
+        })}`;
+      }
+
+      if (command === "summarize") {
+        const summary = await summarizeLongText(ctx, text, reportProgress);
+        const sentMessages = await sendRenderedReply(
+          ctx,
+          `📄 **${documentFile.fileName}**\n\n${summary}${notice}`,
+          replyOptions
+        );
+
+        // Follow-up replies to the summary continue the conversation
+        const conversation = await loadConversation(ctx);
+        await recordConversation(
+          conversation,
+          `Summarize the document "${documentFile.fileName}"`,
+          ctx.message.message_id,
+          summary,
+          sentMessages.map((m) => m.message_id)
+        );
+        return;
+      }
+
+      const translation = await translateLongText(
+        ctx,
+        text,
+        languages,
+        reportProgress
+      );
+
+      // Short translations fit into messages, long ones become a file
+      if (translation.length <= TELEGRAM_MESSAGE_LIMIT * 2) {
+        await sendRenderedReply(ctx, translation + notice, replyOptions);
+      } else {
+        const baseName = path.basename(
+          documentFile.fileName,
+          path.extname(documentFile.fileName)
+        );
+        const extension = documentFile.type === "markdown" ? "md" : "txt";
+        const fileName = `${baseName}.${
+          languages ? languages.target.toLowerCase() : "translated"
+        }.${extension}`;
+        await ctx.replyWithDocument(
+          new InputFile(Buffer.from(translation, "utf8"), fileName),
+          {
+            ...replyOptions,
+            caption: `${ctx.t("document.translation_caption", {
+              name: documentFile.fileName,
+            })}${notice}`,
+          }
+        );
+      }
+    } finally {
+      await ctx.api
+        .deleteMessage(ctx.chat.id, status.message_id)
+        .catch(() => {});
+    }
+  } catch (error) {
+    logger.error(`Error in /${command} document command:`, error);
+    await ctx.reply(getErrorMessage(ctx, error));
+  }
+}
+
+// /find command - Find answers to questions (concise 2-5 sentences)
+bot.command("find", (ctx) => runAICommand(ctx, "find", ctx.match));
+
+// /agent command - Act as smart assistant with detailed solutions
+bot.command("agent", (ctx) => runAICommand(ctx, "agent", ctx.match));
+
+// /translate command - Translate text between languages
+bot.command("translate", (ctx) => runAICommand(ctx, "translate", ctx.match));
+
+// /summarize command - Summarize long text into key points
+bot.command("summarize", (ctx) => runAICommand(ctx, "summarize", ctx.match));
+
+// /improve command - Improve text style and grammar
+bot.command("improve", (ctx) => runAICommand(ctx, "improve", ctx.match));
+
+// /talk command - Have casual conversations with the bot
+bot.command("talk", (ctx) => runAICommand(ctx, "talk", ctx.match));
+
+// Inline mode: "@bot <command> <text>" in any chat answers with an article
+// of the AI command's answer, e.g. "@bot tr en->de Good morning". Telegram
+// sends a query on every keystroke, so a query only runs once the user
+// stopped typing for a moment, and answers are cached for a few minutes.
+const INLINE_COMMANDS = {
+  find: "find",
+  f: "find",
+  agent: "agent",
+  a: "agent",
+  translate: "translate",
+  tr: "translate",
+  summarize: "summarize",
+  sum: "summarize",
+  improve: "improve",
+  imp: "improve",
+  talk: "talk",
+};
+const INLINE_DEBOUNCE_MS = parseInt(process.env.INLINE_DEBOUNCE_MS) || 700;
+const INLINE_CACHE_SECONDS = parseInt(process.env.INLINE_CACHE_SECONDS) || 300;
+const INLINE_DESCRIPTION_LENGTH = 100;
+
+const pendingInlineQueries = new Map(); // userId -> debounce timer
+const inlineResultCache = new Map(); // "<userId>:<query>" -> { results, expiresAt }
+
+// Split an inline query into an AI command and its text, null if the
+// query doesn't start with a known command
+function parseInlineQuery(query) {
+  const match = query.trim().match(/^(\S+)\s+([\s\S]+)$/);
+  const command = match && INLINE_COMMANDS[match[1].toLowerCase()];
+  if (!command) return null;
+
+  // "tr en->de text" is short for /translate [en->de] text
+  let text = match[2].trim();
+  if (command === "translate") {
+    text = text.replace(/^\[?([a-z]{2})->([a-z]{2})\]?\s+/i, "[$1->$2] ");
+  }
+  return { command, text };
+}
+
+// Drop the expired answers of the inline cache
+function pruneInlineCache() {
+  const now = Date.now();
+  for (const [key, entry] of inlineResultCache) {
+    if (entry.expiresAt <= now) inlineResultCache.delete(key);
+  }
+}
+
+// Answer an inline query with a single article holding a notice
+// (ban, cooldown, quota or error)
+async function answerInlineNotice(ctx, text) {
+  const [title, ...rest] = text.split("\n").filter(Boolean);
+  return ctx.answerInlineQuery(
+    [
+      {
+        type: "article",
+        id: "notice",
+        title,
+        description: rest.join(" ").slice(0, INLINE_DESCRIPTION_LENGTH),
+        input_message_content: { message_text: text },
+      },
+    ],
+    { cache_time: 0, is_personal: true }
+  );
+}
+
+// Count an answered inline query in the user's and the bot's statistics
+async function recordInlineQuery(userId) {
+  try {
+    await updateData((data) => {
+      const user = data.users[userId];
+      if (user) user.inlineQueries = (user.inlineQueries || 0) + 1;
+      data.statistics.totalInlineQueries =
+        (data.statistics.totalInlineQueries || 0) + 1;
+    });
+  } catch (error) {
+    logger.error("Error recording inline query:", error);
+  }
+}
+
+// Run the AI command of an inline query and answer with the result.
+// Bans, rate limits and quotas apply like for the chat commands.
+async function answerInlineCommand(ctx, { command, text }, cacheKey) {
+  try {
+    const data = await readData();
+    const tempBan = getActiveTempBan(data, ctx.from.id);
+    if (tempBan && !isSuperAdmin(ctx.from.id, data)) {
+      banRejectionCounter.inc({ ban: "temporary" });
+      return await answerInlineNotice(
+        ctx,
+        ctx.t("antispam.banned_until", {
+          until: new Date(tempBan.until).toLocaleString(),
+        })
+      );
+    }
+
+    const userAllowed = await saveUserInfo(ctx.from.id, ctx.from, true);
+    if (!userAllowed) {
+      banRejectionCounter.inc({ ban: "permanent" });
+      return await answerInlineNotice(ctx, ctx.t("common.banned"));
+    }
+
+    if (!(await enforceRateLimit(ctx)) || !(await enforceQuota(ctx))) {
+      return;
+    }
+
+    const { buildPrompt, promptName = "system" } = AI_COMMANDS[command];
+    const response = await callOpenAI(buildPrompt(text), promptName, [], {
+      ctx,
+      command,
+    });
+
+    // An inline result is a single message, longer answers are cut at
+    // Telegram's message limit
+    const [chunk] = renderReply(response);
+    const title = ctx.t(`inline.titles.${command}`);
+    const description = chunk.text
+      .replace(/\s+/g, " ")
+      .slice(0, INLINE_DESCRIPTION_LENGTH);
+
+    await sendRenderedChunk((messageText, options) => {
+      const results = [
+        {
+          type: "article",
+          id: `${command}:${Date.now()}`,
+          title,
+          description,
+          input_message_content: { message_text: messageText, ...options },
+        },
+      ];
+
+      // Cached before answering: if the query expired while the model
+      // was busy, typing it again shows the answer right away
+      pruneInlineCache();
+      inlineResultCache.set(cacheKey, {
+        results,
+        expiresAt: Date.now() + INLINE_CACHE_SECONDS * 1000,
+      });
+      return ctx.answerInlineQuery(results, {
+        cache_time: INLINE_CACHE_SECONDS,
+        is_personal: true,
+      });
+    }, chunk);
+
+    await recordInlineQuery(ctx.from.id);
+  } catch (error) {
+    logger.error("Error in inline query:", error);
+    await answerInlineNotice(ctx, getErrorMessage(ctx, error)).catch(() => {});
+  }
+}
+
+bot.on("inline_query", async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    clearTimeout(pendingInlineQueries.get(userId));
+    pendingInlineQueries.delete(userId);
+
+    const request = parseInlineQuery(ctx.inlineQuery.query);
+    if (!request) {
+      return await ctx.answerInlineQuery([], {
+        cache_time: 0,
+        is_personal: true,
+        button: { text: ctx.t("inline.hint"), start_parameter: "inline" },
+      });
+    }
+
+    const cacheKey = `${userId}:${ctx.inlineQuery.query.trim()}`;
+    const cached = inlineResultCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return await ctx.answerInlineQuery(cached.results, {
+        cache_time: INLINE_CACHE_SECONDS,
+        is_personal: true,
+      });
+    }
+
+    // Wait until the user stops typing. The handler returns right away
+    // so other updates aren't held up in the meantime.
+    pendingInlineQueries.set(
+      userId,
+      setTimeout(() => {
+        pendingInlineQueries.delete(userId);
+        answerInlineCommand(ctx, request, cacheKey);
+      }, INLINE_DEBOUNCE_MS)
+    );
+  } catch (error) {
+    logger.error("Error in inline query:", error);
+  }
+});
+
+// Find the conversations a /reset or /history command refers to:
+// the replied thread if there is one, otherwise every thread of the chat
+function selectChatConversations(ctx, conversations) {
+  const chatId = ctx.chat.id.toString();
+  const repliedMessage = ctx.message.reply_to_message;
+
+  if (ctx.chat.type === "private") {
+    return conversations[chatId] ? [chatId] : [];
+  }
+
+  if (repliedMessage) {
+    const key = findConversationKey(
+      conversations,
+      chatId,
+      repliedMessage.message_id
+    );
+    return key ? [key] : [];
+  }
+
+  return Object.keys(conversations)
+    .filter((key) => conversations[key].chatId === chatId)
+    .sort(
+      (a, b) =>
+        new Date(conversations[b].updatedAt) -
+        new Date(conversations[a].updatedAt)
+    );
+}
+
+// /reset command - Forget the conversation history
+bot.command("reset", async (ctx) => {
+  const userAllowed = await saveUserInfo(ctx.message.from.id, ctx.message.from);
+  if (!userAllowed) {
+    return replyBanned(ctx);
+  }
+
+  try {
+    // Without a reply, /reset in a group clears every thread of the
+    // chat, other members' ones too
+    const isGroup = ctx.chat.type === "group" || ctx.chat.type === "supergroup";
+    if (isGroup && !ctx.message.reply_to_message && !(await isChatAdmin(ctx))) {
+      return ctx.reply(ctx.t("reset.admins_only"));
+    }
+
+    const data = await readData();
+    const keys = selectChatConversations(ctx, data.conversations);
+
+    if (keys.length === 0) {
+      return ctx.reply(ctx.t("reset.empty"));
+    }
+
+    await updateData((data) => {
+      keys.forEach((key) => delete data.conversations[key]);
+    });
+
+    await ctx.reply(
+      keys.length === 1
+        ? ctx.t("reset.cleared")
+        : ctx.t("reset.cleared_threads", { count: keys.length })
+    );
+  } catch (error) {
+    logger.error("Error in /reset command:", error);
+    await ctx.reply(ctx.t("common.error"));
+  }
+});
+
+// /history command - Show what the bot remembers of the conversation
+bot.command("history", async (ctx) => {
+  const userAllowed = await saveUserInfo(ctx.message.from.id, ctx.message.from);
+  if (!userAllowed) {
+    return replyBanned(ctx);
+  }
+
+  try {
+    const data = await readData();
+    const [key] = selectChatConversations(ctx, data.conversations);
+    const conversation = key && data.conversations[key];
+
+    if (!conversation || conversation.messages.length === 0) {
+      return ctx.reply(ctx.t("history.empty"));
+    }
+
+    const preview = (text) =>
+      text.length > 200 ? `${text.slice(0, 200)}…` : text;
+    const lines = conversation.messages.map(
+      (m) =>
+        `${ctx.t(
+          m.role === "user" ? "history.user" : "history.bot"
+        )}: ${preview(m.content)}`
+    );
+    const tokens = conversation.messages.reduce(
+      (sum, m) => sum + estimateTokens(m.content),
+      0
+    );
+
+    const historyMessage = `${ctx.t("history.title", {
+      count: conversation.messages.length,
+      tokens,
+      budget: CONVERSATION_TOKEN_BUDGET,
+    })}
+
+${lines.join("\n\n")}
+
+${ctx.t("history.footer")}`;
+
+    // Telegram messages are limited to 4096 characters
+    await ctx.reply(
+      historyMessage.length > 4000
+        ? `${historyMessage.slice(0, 4000)}…`
+        : historyMessage,
+      { reply_to_message_id: ctx.message.message_id }
+    );
+  } catch (error) {
+    logger.error("Error in /history command:", error);
+    await ctx.reply(ctx.t("common.error"));
+  }
+});
+
+// Format token usage against a quota, e.g. "1,200 / 50,000 tokens"
+function formatQuotaUsage(ctx, tokens, limit) {
+  return limit
+    ? ctx.t("usage.quota", {
+        tokens: tokens.toLocaleString(),
+        limit: limit.toLocaleString(),
+      })
+    : ctx.t("usage.no_limit", { tokens: tokens.toLocaleString() });
+}
+
+// /usage command - Show AI usage and remaining quota
+bot.command("usage", async (ctx) => {
+  const userAllowed = await saveUserInfo(ctx.message.from.id, ctx.message.from);
+  if (!userAllowed) {
+    return replyBanned(ctx);
+  }
+
+  try {
+    const data = await readData();
+    const quotas = getQuotas(data);
+    const user = data.users[ctx.message.from.id];
+    const userUsage = user && user.usage;
+    const totalRequests = userUsage ? userUsage.total.requests : 0;
+
+    const formatPeriods = (usage, dailyLimit, monthlyLimit) =>
+      [
+        ctx.t("usage.today", {
+          usage: formatQuotaUsage(
+            ctx,
+            getPeriodTokens(usage, "day"),
+            dailyLimit
+          ),
+        }),
+        ctx.t("usage.this_month", {
+          usage: formatQuotaUsage(
+            ctx,
+            getPeriodTokens(usage, "month"),
+            monthlyLimit
+          ),
+        }),
+      ].join("\n");
+
+    let usageMessage = [
+      ctx.t("usage.title"),
+      "",
+      formatPeriods(
+        userUsage,
+        quotas.userDailyTokens,
+        quotas.userMonthlyTokens
+      ),
+      ctx.t("usage.requests", { count: totalRequests }),
+    ].join("\n");
+
+    const group = data.groups[ctx.chat.id];
+    if (group) {
+      usageMessage += `\n\n${ctx.t("usage.group")}\n${formatPeriods(
+        group.usage,
+        quotas.groupDailyTokens,
+        quotas.groupMonthlyTokens
+      )}`;
+    }
+
+    usageMessage += `\n\n${ctx.t("usage.footer")}`;
+
+    await ctx.reply(usageMessage, {
+      reply_to_message_id: ctx.message.message_id,
+    });
+  } catch (error) {
+    logger.error("Error in /usage command:", error);
+    await ctx.reply(ctx.t("common.error"));
+  }
+});
+
+// Recent group messages kept for /tldr and digests (only in groups that
+// opted in)
+const GROUP_HISTORY_MAX_MESSAGES =
+  parseInt(process.env.TLDR_MAX_MESSAGES) || 500;
+const GROUP_HISTORY_RETENTION_MS =
+  (parseInt(process.env.TLDR_RETENTION_HOURS) || 48) * 60 * 60 * 1000;
+const GROUP_HISTORY_MAX_MESSAGE_LENGTH = 1000;
+const TLDR_DEFAULT_MESSAGES = 100;
+const TLDR_MAX_CHARACTERS = 24000;
+
+// Check if the sender is an admin of the current chat (super admins and
+// anonymous group admins count too)
+async function isChatAdmin(ctx) {
+  const data = await readData();
+  if (isSuperAdmin(ctx.from.id, data)) return true;
+  if (ctx.message?.sender_chat?.id === ctx.chat.id) return true;
+
+  const member = await ctx.getChatMember(ctx.from.id);
+  return member.status === "creator" || member.status === "administrator";
+}
+
+// Messages are only stored in groups that turned on /tldr or digests
+function isGroupHistoryEnabled(group) {
+  return !!(group && (group.tldrEnabled || group.digest?.enabled));
+}
+
+// Weekly digests need a week of messages, whatever the /tldr retention
+function getGroupHistoryRetentionMs(group) {
+  return group?.digest?.enabled && group.digest.frequency === "weekly"
+    ? Math.max(GROUP_HISTORY_RETENTION_MS, 8 * 24 * 60 * 60 * 1000)
+    : GROUP_HISTORY_RETENTION_MS;
+}
+
+// Drop buffered messages older than the group's retention limit
+function pruneGroupMessages(messages, group, now = Date.now()) {
+  const cutoff = (now - getGroupHistoryRetentionMs(group)) / 1000;
+  return messages
+    .filter((m) => m.date >= cutoff)
+    .slice(-GROUP_HISTORY_MAX_MESSAGES);
+}
+
+// Apply the retention limit to every group buffer
+async function pruneGroupHistory() {
+  try {
+    await updateData((data) => {
+      for (const [chatId, messages] of Object.entries(data.groupHistory)) {
+        const group = data.groups[chatId];
+        const kept = isGroupHistoryEnabled(group)
+          ? pruneGroupMessages(messages, group)
+          : [];
+        if (kept.length === 0) {
+          delete data.groupHistory[chatId];
+        } else if (kept.length !== messages.length) {
+          data.groupHistory[chatId] = kept;
+        }
+      }
+    });
+  } catch (error) {
+    logger.error("Error pruning group history:", error);
+  }
+}
+
+// Remember a group message for /tldr and digests if the group opted in
+async function recordGroupMessage(ctx, text) {
+  try {
+    await updateData((data) => {
+      const chatId = ctx.chat.id.toString();
+      const group = data.groups[chatId];
+      if (!isGroupHistoryEnabled(group)) return;
+
+      const from = ctx.message.from;
+      const messages = data.groupHistory[chatId] || [];
+      messages.push({
+        id: ctx.message.message_id,
+        userId: from.id,
+        name: [from.first_name, from.last_name].filter(Boolean).join(" "),
+        text: text.slice(0, GROUP_HISTORY_MAX_MESSAGE_LENGTH),
+        date: ctx.message.date,
+      });
+      data.groupHistory[chatId] = pruneGroupMessages(messages, group);
+    });
+  } catch (error) {
+    logger.error("Error recording group message:", error);
+  }
+}
+
+// Format stored group messages as a transcript for the AI, keeping the
+// newest messages that fit into `maxCharacters`
+function formatGroupTranscript(messages, maxCharacters = TLDR_MAX_CHARACTERS) {
+  const lines = [];
+  let length = 0;
+  for (const m of [...messages].reverse()) {
+    const time = new Date(m.date * 1000).toISOString().slice(11, 16);
+    const line = `[${time}] ${m.name || "Unknown"}: ${m.text}`;
+    if (length + line.length > maxCharacters) break;
+    lines.unshift(line);
+    length += line.length + 1;
+  }
+  return lines;
+}
+
+// Parse the /tldr argument: a message count ("50") or a time span
+// ("since 2h", "since 30m", "since 1d"). Returns null if invalid.
+function parseTldrRange(arg) {
+  if (!arg) return { count: TLDR_DEFAULT_MESSAGES };
+
+  if (/^\d+$/.test(arg)) {
+    const count = parseInt(arg);
+    return count > 0 ? { count } : null;
+  }
+
+  const match = arg.match(/^(?:since\s+)?(\d+)\s*([mhd])$/i);
+  if (!match) return null;
+  const unitMs = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  return {
+    since: Date.now() - parseInt(match[1]) * unitMs[match[2].toLowerCase()],
+  };
+}
+
+// /tldr command - Summarize the recent group conversation.
+// Group admins turn the message buffer on or off with /tldr on|off.
+bot.command("tldr", async (ctx) => {
+  if (ctx.chat.type !== "group" && ctx.chat.type !== "supergroup") {
+    return ctx.reply(ctx.t("tldr.groups_only"));
+  }
+
+  const chatId = ctx.chat.id.toString();
+  const arg = ctx.match.trim().toLowerCase();
+  const replyOptions = { reply_to_message_id: ctx.message.message_id };
+  const isToggle = arg === "on" || arg === "off";
+
+  const userAllowed = await saveUserInfo(
+    ctx.message.from.id,
+    ctx.message.from,
+    !isToggle
+  );
+  if (!userAllowed) {
+    return replyBanned(ctx);
+  }
+  const groupAllowed = await saveGroupInfo(ctx.chat.id, ctx.chat);
+  if (!groupAllowed) {
+    return;
+  }
+  if (!isToggle && (await isCommandDisabled(ctx, "tldr"))) {
+    return;
+  }
+
+  try {
+    if (isToggle) {
+      if (!(await isChatAdmin(ctx))) {
+        return ctx.reply(ctx.t("tldr.admins_only"), replyOptions);
+      }
+
+      const stillStored = await updateData((data) => {
+        const group = data.groups[chatId];
+        group.tldrEnabled = arg === "on";
+        // Turning it off forgets everything that was collected, unless
+        // the digest still needs the messages
+        if (!isGroupHistoryEnabled(group)) delete data.groupHistory[chatId];
+        return isGroupHistoryEnabled(group);
+      });
+
+      return ctx.reply(
+        arg === "on"
+          ? ctx.t("tldr.enabled", {
+              count: GROUP_HISTORY_RETENTION_MS / (60 * 60 * 1000),
+              messages: GROUP_HISTORY_MAX_MESSAGES,
+            })
+          : ctx.t(stillStored ? "tldr.disabled_kept" : "tldr.disabled"),
+        replyOptions
+      );
+    }
+
+    const data = await readData();
+    if (!data.groups[chatId]?.tldrEnabled) {
+      return ctx.reply(ctx.t("tldr.off"), replyOptions);
     }
 
-    await ctx.answerCallbackQuery();
-  } catch (error) {
-    console.error("Error in admin callback:", error);
-    ctx.answerCallbackQuery("❌ Error occurred!");
-  }
-});
+    const range = parseTldrRange(arg);
+    if (!range) {
+      return ctx.reply(ctx.t("tldr.usage"), replyOptions);
+    }
 
-// Handle user pagination
-bot.callbackQuery(/^users_page_(\d+)$/, async (ctx) => {
-  try {
-    const data = await readData();
+    let messages = pruneGroupMessages(
+      data.groupHistory[chatId] || [],
+      data.groups[chatId]
+    );
+    messages = range.since
+      ? messages.filter((m) => m.date * 1000 >= range.since)
+      : messages.slice(-range.count);
 
-    if (!isSuperAdmin(ctx.callbackQuery.from.id, data)) {
-      return ctx.answerCallbackQuery("❌ Unauthorized!");
+    if (messages.length === 0) {
+      return ctx.reply(ctx.t("tldr.no_messages"), replyOptions);
     }
 
-    const page = parseInt(ctx.match[1]);
-    const allUsers = Object.values(data.users);
+    // Apply anti-spam rate limits and usage quotas
+    if (!(await enforceRateLimit(ctx)) || !(await enforceQuota(ctx))) {
+      return;
+    }
+    await ctx.replyWithChatAction("typing");
 
-    await ctx.editMessageText(
-      `👥 **Users (${allUsers.length} total)**\n\nSelect a user to manage:`,
-      {
-        reply_markup: createUserListKeyboard(allUsers, page),
-        parse_mode: "Markdown",
-      }
+    const lines = formatGroupTranscript(messages);
+    const prompt = `Here is a group chat transcript (${
+      lines.length
+    } messages, UTC times):
+
+${lines.join("\n")}
+
+Write a TL;DR of this conversation with these sections:
+1. **Topics**: who discussed what, attributing points to participants by name
+2. **Decisions**: what was agreed on (or "None")
+3. **Open questions**: unanswered questions or unresolved issues (or "None")
+Be concise.`;
+
+    const conversation = await loadConversation(ctx);
+    const { response, sentMessages } = await replyWithAI(ctx, "tldr", prompt);
+
+    // Follow-up replies to the summary continue the conversation
+    await recordConversation(
+      conversation,
+      `Summarize the last ${lines.length} messages of this group`,
+      ctx.message.message_id,
+      response,
+      sentMessages.map((m) => m.message_id)
     );
-
-    await ctx.answerCallbackQuery();
   } catch (error) {
-    console.error("Error in user pagination:", error);
-    ctx.answerCallbackQuery("❌ Error occurred!");
+    logger.error("Error in /tldr command:", error);
+    await ctx.reply(getErrorMessage(ctx, error));
   }
 });
 
-// Handle user actions
-bot.callbackQuery(/^user_(\d+)$/, async (ctx) => {
+// Scheduler: jobs are stored in data.scheduledJobs so they survive
+// restarts. A job is { id, type, runAt (ms), ...payload }; jobs missed
+// while the bot was down run on the next check after startup.
+const SCHEDULER_INTERVAL_MS = 30 * 1000;
+
+// Job types: `run(job)` does the work and returns false to delete the
+// job, `nextRunAt(job)` returns the time of the next run
+const JOB_HANDLERS = {
+  digest: { run: runDigestJob, nextRunAt: getNextDigestJobRun },
+  groupHistoryCleanup: {
+    run: pruneGroupHistory,
+    nextRunAt: () => Date.now() + 60 * 60 * 1000,
+  },
+};
+
+let schedulerInterval;
+let schedulerBusy = false;
+
+// Add or replace a job
+async function scheduleJob(job) {
+  await updateData((data) => {
+    data.scheduledJobs[job.id] = job;
+  });
+}
+
+async function cancelJob(jobId) {
+  await updateData((data) => {
+    delete data.scheduledJobs[jobId];
+  });
+}
+
+// Run every job that is due, one at a time
+async function runDueJobs() {
+  if (schedulerBusy) return;
+  schedulerBusy = true;
+
   try {
     const data = await readData();
+    const dueJobs = Object.values(data.scheduledJobs)
+      .filter((job) => job.runAt <= Date.now())
+      .sort((a, b) => a.runAt - b.runAt);
+
+    for (const job of dueJobs) {
+      const handler = JOB_HANDLERS[job.type];
+      if (!handler) {
+        logger.error(`Unknown scheduled job type "${job.type}", removing`);
+        await cancelJob(job.id);
+        continue;
+      }
 
-    if (!isSuperAdmin(ctx.callbackQuery.from.id, data)) {
-      return ctx.answerCallbackQuery("❌ Unauthorized!");
-    }
+      let keep = true;
+      try {
+        keep =
+          (await withLogContext(
+            { correlationId: randomBytes(8).toString("hex"), jobId: job.id },
+            () => handler.run(job)
+          )) !== false;
+      } catch (error) {
+        logger.error(`Error running scheduled job ${job.id}:`, error);
+      }
 
-    const userId = ctx.match[1];
-    const user = data.users[userId];
+      const nextRunAt = keep ? await handler.nextRunAt(job) : null;
+      await updateData((data) => {
+        // The job may have been changed or cancelled while it ran
+        const current = data.scheduledJobs[job.id];
+        if (!current || current.runAt !== job.runAt) return;
 
-    if (!user) {
-      return ctx.answerCallbackQuery("❌ User not found!");
+        if (nextRunAt) {
+          current.runAt = nextRunAt;
+          current.lastRunAt = Date.now();
+        } else {
+          delete data.scheduledJobs[job.id];
+        }
+      });
     }
+  } catch (error) {
+    logger.error("Error running scheduled jobs:", error);
+  } finally {
+    schedulerBusy = false;
+  }
+}
 
-    const isBlocked = data.bannedUsers.includes(userId);
+// Start checking for due jobs
+async function startScheduler() {
+  const data = await readData();
+  if (!data.scheduledJobs["group-history-cleanup"]) {
+    await scheduleJob({
+      id: "group-history-cleanup",
+      type: "groupHistoryCleanup",
+      runAt: Date.now(),
+    });
+  }
+
+  schedulerInterval = setInterval(runDueJobs, SCHEDULER_INTERVAL_MS);
+  runDueJobs(); // Catch up on jobs missed while the bot was down
+}
 
-    const userMessage = `👤 **User Details**
+// Date and time parts of a timestamp in a timezone
+function getZonedParts(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  }).formatToParts(new Date(timestamp));
+  const get = (type) => parseInt(parts.find((p) => p.type === type).value);
+
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  };
+}
 
-📝 Name: ${user.firstName} ${user.lastName || ""}
-👤 Username: @${user.username || "no_username"}
-🆔 ID: ${user.id}
-📅 Joined: ${new Date(user.joinedAt).toLocaleDateString()}
-💬 Messages: ${user.messageCount}
-🤖 AI Requests: ${user.aiRequests || 0}
-📱 Last Activity: ${new Date(user.lastActivity).toLocaleString()}
-🚫 Status: ${isBlocked ? "❌ Blocked" : "✅ Active"}`;
+// Timestamp of a local wall-clock time in a timezone
+function zonedTimeToTimestamp(year, month, day, hour, minute, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  let timestamp = wallClock;
+
+  // The second pass settles the offset around daylight saving changes
+  for (let i = 0; i < 2; i++) {
+    const p = getZonedParts(timestamp, timeZone);
+    const offset =
+      Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) -
+      timestamp;
+    timestamp = wallClock - offset;
+  }
 
-    await ctx.editMessageText(userMessage, {
-      reply_markup: createUserActionKeyboard(userId, isBlocked),
-      parse_mode: "Markdown",
-    });
+  return timestamp;
+}
 
-    await ctx.answerCallbackQuery();
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
   } catch (error) {
-    console.error("Error showing user details:", error);
-    ctx.answerCallbackQuery("❌ Error occurred!");
+    return false;
   }
-});
+}
 
-// Handle block/unblock user
-bot.callbackQuery(/^(block|unblock)_user_(\d+)$/, async (ctx) => {
-  try {
-    const data = await readData();
+// Group digest settings
+const DIGEST_DEFAULT_TIME = "09:00";
+const DIGEST_DEFAULT_TIMEZONE =
+  process.env.DIGEST_TIMEZONE && isValidTimezone(process.env.DIGEST_TIMEZONE)
+    ? process.env.DIGEST_TIMEZONE
+    : "UTC";
+const DIGEST_MIN_MESSAGES = 5;
+const DIGEST_WEEKDAY = 1; // Weekly digests are posted on Mondays
+
+function getDigestSettings(group) {
+  return {
+    enabled: false,
+    frequency: "daily",
+    time: DIGEST_DEFAULT_TIME,
+    timezone: DIGEST_DEFAULT_TIMEZONE,
+    ...(group && group.digest),
+  };
+}
 
-    if (!isSuperAdmin(ctx.callbackQuery.from.id, data)) {
-      return ctx.answerCallbackQuery("❌ Unauthorized!");
+// Next time a digest is due: the configured local time, every day or
+// every Monday
+function getNextDigestRun(settings, now = Date.now()) {
+  const [hour, minute] = settings.time.split(":").map(Number);
+  const today = getZonedParts(now, settings.timezone);
+
+  for (let days = 0; days <= 8; days++) {
+    // Date.UTC rolls day overflows into the next month
+    const date = new Date(
+      Date.UTC(today.year, today.month - 1, today.day + days)
+    );
+    if (
+      settings.frequency === "weekly" &&
+      date.getUTCDay() !== DIGEST_WEEKDAY
+    ) {
+      continue;
     }
 
-    const action = ctx.match[1];
-    const userId = ctx.match[2];
-    const user = data.users[userId];
+    const runAt = zonedTimeToTimestamp(
+      date.getUTCFullYear(),
+      date.getUTCMonth() + 1,
+      date.getUTCDate(),
+      hour,
+      minute,
+      settings.timezone
+    );
+    if (runAt > now) return runAt;
+  }
 
-    if (!user) {
-      return ctx.answerCallbackQuery("❌ User not found!");
-    }
+  return null;
+}
 
-    if (action === "block") {
-      if (!data.bannedUsers.includes(userId)) {
-        data.bannedUsers.push(userId);
-        data.users[userId].isBlocked = true;
-        await writeData(data);
-        await ctx.answerCallbackQuery(
-          `✅ User ${user.firstName} blocked successfully!`
-        );
-      } else {
-        await ctx.answerCallbackQuery("⚠️ User is already blocked!");
-      }
-    } else {
-      const index = data.bannedUsers.indexOf(userId);
-      if (index > -1) {
-        data.bannedUsers.splice(index, 1);
-        data.users[userId].isBlocked = false;
-        await writeData(data);
-        await ctx.answerCallbackQuery(
-          `✅ User ${user.firstName} unblocked successfully!`
-        );
-      } else {
-        await ctx.answerCallbackQuery("⚠️ User is not blocked!");
-      }
-    }
+async function getNextDigestJobRun(job) {
+  const data = await readData();
+  return getNextDigestRun(getDigestSettings(data.groups[job.chatId]));
+}
 
-    // Refresh the user details
-    const isBlocked = data.bannedUsers.includes(userId);
+// Create, move or remove the digest job of a group after a settings change
+async function updateDigestJob(chatId, settings) {
+  const jobId = `digest:${chatId}`;
+  if (!settings.enabled) {
+    await cancelJob(jobId);
+    return null;
+  }
 
-    const userMessage = `👤 **User Details**
+  const runAt = getNextDigestRun(settings);
+  const data = await readData();
+  await scheduleJob({
+    id: jobId,
+    type: "digest",
+    chatId,
+    runAt,
+    lastRunAt: data.scheduledJobs[jobId]?.lastRunAt || null,
+  });
+  return runAt;
+}
 
-📝 Name: ${user.firstName} ${user.lastName || ""}
-👤 Username: @${user.username || "no_username"}
-🆔 ID: ${user.id}
-📅 Joined: ${new Date(user.joinedAt).toLocaleDateString()}
-💬 Messages: ${user.messageCount}
-🤖 AI Requests: ${user.aiRequests || 0}
-📱 Last Activity: ${new Date(user.lastActivity).toLocaleString()}
-🚫 Status: ${isBlocked ? "❌ Blocked" : "✅ Active"}`;
+// Post the digest of a group. Returns false when the job should go away.
+async function runDigestJob(job) {
+  const data = await readData();
+  const group = data.groups[job.chatId];
+  const settings = getDigestSettings(group);
+  if (!settings.enabled || data.bannedGroups.includes(job.chatId)) {
+    return false;
+  }
 
-    await ctx.editMessageText(userMessage, {
-      reply_markup: createUserActionKeyboard(userId, isBlocked),
-      parse_mode: "Markdown",
-    });
-  } catch (error) {
-    console.error("Error blocking/unblocking user:", error);
-    ctx.answerCallbackQuery("❌ Error occurred!");
+  const periodMs =
+    settings.frequency === "weekly"
+      ? 7 * 24 * 60 * 60 * 1000
+      : 24 * 60 * 60 * 1000;
+  const since = Math.max(job.lastRunAt || 0, Date.now() - periodMs) / 1000;
+  const messages = (data.groupHistory[job.chatId] || []).filter(
+    (m) => m.date > since
+  );
+
+  // A quiet group gets no digest
+  if (messages.length < DIGEST_MIN_MESSAGES) {
+    return true;
   }
-});
 
-// Handle toggle anti-spam
-bot.callbackQuery("toggle_antispam", async (ctx) => {
-  try {
-    const data = await readData();
+  const lines = formatGroupTranscript(messages);
+  const title = t(
+    getGroupLocale(group),
+    settings.frequency === "weekly"
+      ? "digest.weekly_title"
+      : "digest.daily_title"
+  );
+  const digest = await callOpenAI(
+    `Here is the group chat transcript of the last ${
+      settings.frequency === "weekly" ? "week" : "day"
+    } (${lines.length} messages, UTC times):
+
+${lines.join("\n")}
+
+Write a digest of this discussion for members who missed it, with these sections:
+1. **Highlights**: the main topics and who discussed them
+2. **Decisions**: what was agreed on (or "None")
+3. **Open questions**: unanswered questions or unresolved issues (or "None")
+Be concise.`,
+    "system",
+    [],
+    // Usage is accounted to the group
+    { ctx: { chat: { id: job.chatId } }, command: "digest" }
+  );
 
-    if (!isSuperAdmin(ctx.callbackQuery.from.id, data)) {
-      return ctx.answerCallbackQuery("❌ Unauthorized!");
+  try {
+    for (const chunk of renderReply(`📰 **${title}**\n\n${digest}`)) {
+      await sendRenderedChunk(
+        (text, options) => bot.api.sendMessage(job.chatId, text, options),
+        chunk
+      );
     }
+  } catch (error) {
+    // The bot was removed from the group or can't post there anymore
+    if (error.error_code === 403) {
+      logger.info(`📰 Disabling digest of ${job.chatId}: ${error.description}`);
+      await updateData((data) => {
+        if (data.groups[job.chatId]?.digest) {
+          data.groups[job.chatId].digest.enabled = false;
+        }
+      });
+      return false;
+    }
+    throw error;
+  }
 
-    data.settings.antiSpamEnabled = !data.settings.antiSpamEnabled;
-    await writeData(data);
-
-    const settingsMessage = `⚙️ **Bot Settings**
-
-🛡️ Anti-Spam: ${data.settings.antiSpamEnabled ? "Enabled" : "Disabled"}
-📅 Created: ${new Date(data.settings.createdAt).toLocaleDateString()}
-🔢 Version: ${data.settings.version}`;
+  return true;
+}
 
-    await ctx.editMessageText(settingsMessage, {
-      reply_markup: new InlineKeyboard()
-        .text(
-          data.settings.antiSpamEnabled
-            ? "🔴 Disable Anti-Spam"
-            : "🟢 Enable Anti-Spam",
-          "toggle_antispam"
-        )
-        .row()
-        .text("🔙 Back", "admin_refresh"),
-      parse_mode: "Markdown",
-    });
+// Describe the digest settings of a group
+function formatDigestSettings(ctx, settings, nextRunAt) {
+  let text = `${ctx.t("digest.status", {
+    state: ctx.t(settings.enabled ? "common.on" : "common.off"),
+  })}
+${ctx.t(`digest.schedule_${settings.frequency}`, {
+  time: settings.time,
+  timezone: settings.timezone,
+})}`;
+
+  if (settings.enabled && nextRunAt) {
+    text += `\n${ctx.t("digest.next_run", {
+      date: new Date(nextRunAt).toISOString().replace("T", " ").slice(0, 16),
+    })}`;
+  }
+  return text;
+}
 
-    await ctx.answerCallbackQuery(
-      `Anti-spam ${data.settings.antiSpamEnabled ? "enabled" : "disabled"}!`
-    );
-  } catch (error) {
-    console.error("Error toggling anti-spam:", error);
-    ctx.answerCallbackQuery("❌ Error occurred!");
+// /digest command - Automatic daily or weekly digests of a group.
+// Group admins change the settings: /digest on|off|daily|weekly,
+// /digest time HH:MM and /digest timezone Area/City.
+bot.command("digest", async (ctx) => {
+  if (ctx.chat.type !== "group" && ctx.chat.type !== "supergroup") {
+    return ctx.reply(ctx.t("digest.groups_only"));
   }
-});
 
-// Start command
-bot.command("start", async (ctx) => {
-  // Save user information when they start the bot
   const userAllowed = await saveUserInfo(ctx.message.from.id, ctx.message.from);
   if (!userAllowed) {
-    return ctx.reply("❌ You are banned from using this bot.");
+    return replyBanned(ctx);
+  }
+  const groupAllowed = await saveGroupInfo(ctx.chat.id, ctx.chat);
+  if (!groupAllowed) {
+    return;
   }
 
-  // Save group info if in group
-  if (ctx.chat.type === "group" || ctx.chat.type === "supergroup") {
-    const groupAllowed = await saveGroupInfo(ctx.chat.id, ctx.chat);
-    if (!groupAllowed) {
-      return; // Group is banned
+  const chatId = ctx.chat.id.toString();
+  const [option = "", value = ""] = ctx.match.trim().split(/\s+/);
+  const replyOptions = { reply_to_message_id: ctx.message.message_id };
+
+  try {
+    if (!option) {
+      const data = await readData();
+      const settings = getDigestSettings(data.groups[chatId]);
+      const job = data.scheduledJobs[`digest:${chatId}`];
+      return ctx.reply(
+        formatDigestSettings(ctx, settings, job && job.runAt),
+        replyOptions
+      );
     }
-  }
 
-  const welcomeMessage = `🤖 Welcome to AI Assistant Bot!
+    if (!(await isChatAdmin(ctx))) {
+      return ctx.reply(ctx.t("digest.admins_only"), replyOptions);
+    }
 
-Available commands:
-/find [text] - Find answers to your questions
-/agent [instruction] - Get detailed step-by-step help
-/translate [lang1->lang2] [text] - Translate between languages
-/summarize [text] - Summarize long text
-/improve [text] - Improve your text style
-/talk [message] - Have a casual chat with me
+    const changes = {};
+    switch (option.toLowerCase()) {
+      case "on":
+      case "off":
+        changes.enabled = option.toLowerCase() === "on";
+        break;
+      case "daily":
+      case "weekly":
+        changes.frequency = option.toLowerCase();
+        break;
+      case "time": {
+        const match = value.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+        if (!match) {
+          return ctx.reply(ctx.t("digest.invalid_time"), replyOptions);
+        }
+        changes.time = `${match[1].padStart(2, "0")}:${match[2]}`;
+        break;
+      }
+      case "timezone":
+        if (!value || !isValidTimezone(value)) {
+          return ctx.reply(ctx.t("digest.invalid_timezone"), replyOptions);
+        }
+        changes.timezone = new Intl.DateTimeFormat("en-US", {
+          timeZone: value,
+        }).resolvedOptions().timeZone;
+        break;
+      default:
+        return ctx.reply(ctx.t("digest.usage"), replyOptions);
+    }
 
-Just type any command followed by your text!`;
+    const settings = await updateData((data) => {
+      const group = data.groups[chatId];
+      group.digest = { ...getDigestSettings(group), ...changes };
+      // Stop collecting messages if nothing needs them anymore
+      if (!isGroupHistoryEnabled(group)) delete data.groupHistory[chatId];
+      return { ...group.digest };
+    });
+    const nextRunAt = await updateDigestJob(chatId, settings);
 
-  ctx.reply(welcomeMessage);
+    let reply = formatDigestSettings(ctx, settings, nextRunAt);
+    if (changes.enabled) {
+      reply += `\n\n${ctx.t("digest.enabled_notice")}`;
+    } else if (changes.enabled === false) {
+      reply += `\n\n${ctx.t("digest.disabled_notice")}`;
+    }
+    await ctx.reply(reply, replyOptions);
+  } catch (error) {
+    logger.error("Error in /digest command:", error);
+    await ctx.reply(ctx.t("common.error"));
+  }
 });
 
-// Help command
-bot.command("help", (ctx) => {
-  const helpMessage = `🆘 Available Commands:
+// Per-group settings, changed by group admins with /settings and stored
+// under data.groups[id].settings
+const DEFAULT_GROUP_SETTINGS = {
+  disabledCommands: [],
+  language: "auto",
+  persona: "default",
+  triggerMode: "mention",
+  wakeWords: [], // Words that call the bot like a mention, e.g. "sahl"
+  rateLimits: {}, // Overrides of the userLimit/groupLimit anti-spam limits
+};
+
+// Commands group admins can turn off
+const GROUP_COMMANDS = [
+  "find",
+  "agent",
+  "translate",
+  "summarize",
+  "improve",
+  "talk",
+  "tldr",
+];
+
+// Response languages for the prompt ("auto" answers in the user's
+// language). Labels are the "group_settings.languages.<code>" locale keys.
+const GROUP_LANGUAGES = {
+  auto: null,
+  en: "English",
+  ru: "Russian",
+  uz: "Uzbek",
+  es: "Spanish",
+  de: "German",
+  tr: "Turkish",
+};
+
+// When the bot answers messages that are not commands
+const TRIGGER_MODES = ["mention", "replies", "all"];
+
+// Group-adjustable anti-spam limits
+const GROUP_LIMIT_OPTIONS = {
+  userLimit: ANTISPAM_LIMIT_OPTIONS.userLimit,
+  groupLimit: ANTISPAM_LIMIT_OPTIONS.groupLimit,
+};
+
+function getGroupSettings(group) {
+  return { ...DEFAULT_GROUP_SETTINGS, ...(group && group.settings) };
+}
 
-🔍 /find [text]
-Find quick answers to your questions (2-5 sentences)
+// Anti-spam limits of a group. Its admins can only tighten the limits
+// the super admin set, never raise them.
+function getGroupRateLimits(data, group) {
+  const limits = getAntiSpamLimits(data);
+  const overrides = getGroupSettings(group).rateLimits;
+  for (const field of Object.keys(GROUP_LIMIT_OPTIONS)) {
+    if (typeof overrides[field] === "number") {
+      limits[field] = Math.min(overrides[field], limits[field]);
+    }
+  }
+  return limits;
+}
 
-🤖 /agent [instruction] 
-Get detailed step-by-step solutions and suggestions
+// System prompt `promptName` of the chat's persona with its template
+// variables filled in, followed by the persona's style and the group's
+// response language
+async function buildSystemPrompt(promptName, options) {
+  const data = await readData();
+  const ctx = options.ctx;
+  const prompts = getPersonaPrompts(data, getPersonaKey(data, ctx));
+  const variables = getPromptVariables(ctx, data);
+
+  let prompt = renderPromptTemplate(prompts[promptName], variables);
+  if (prompts.style) {
+    prompt += `\n\n${renderPromptTemplate(prompts.style, variables)}`;
+  }
 
-🌐 /translate [lang1->lang2] [text]
-Translate text between languages (e.g., en->es, ru->en)
+  const chat = ctx && ctx.chat;
+  if (!chat) return prompt;
+  const settings = getGroupSettings(data.groups[chat.id]);
 
-📝 /summarize [text]
-Summarize long text into key points
+  // Translations keep the language the user asked for
+  const language = GROUP_LANGUAGES[settings.language];
+  if (language && options.command !== "translate") {
+    prompt += `\n\nAlways respond in ${language}, whatever language the message is written in.`;
+  }
 
-✨ /improve [text]
-Improve grammar, clarity and style of your text
+  return prompt;
+}
 
-💬 /talk [message]
-Have casual conversations, jokes, and natural chat
+// Tell the user when group admins turned a command off
+async function isCommandDisabled(ctx, command) {
+  const data = await readData();
+  const settings = getGroupSettings(data.groups[ctx.chat.id]);
+  if (!settings.disabledCommands.includes(command)) {
+    return false;
+  }
 
-Examples:
-• /find How to install Node.js?
-• /agent Help me prepare for a job interview
-• /translate [en->es] Hello, how are you?
-• /summarize [your long text here]
-• /improve i am good developer and want job
-• /talk Hello, how are you doing today?`;
+  await ctx.reply(ctx.t("common.command_disabled", { command }), {
+    reply_to_message_id: ctx.message.message_id,
+  });
+  return true;
+}
 
-  ctx.reply(helpMessage);
-});
+function createGroupSettingsMessage(ctx, data) {
+  const settings = getGroupSettings(data.groups[ctx.chat.id]);
+  const limits = getGroupRateLimits(data, data.groups[ctx.chat.id]);
+  const commands = GROUP_COMMANDS.map(
+    (command) =>
+      `${settings.disabledCommands.includes(command) ? "🚫" : "✅"} /${command}`
+  ).join("  ");
+
+  return `${ctx.t("group_settings.title")}
+🏘️ ${escapeMarkdown(ctx.chat.title || ctx.t("group_settings.this_group"))}
+
+${ctx.t("group_settings.commands", { commands })}
+${ctx.t("group_settings.language", {
+  language: ctx.t(`group_settings.languages.${settings.language}`),
+})}
+${ctx.t("group_settings.persona", {
+  persona: escapeMarkdown(getPersonaName(data, settings.persona)),
+})}
+${ctx.t("group_settings.trigger", {
+  trigger: ctx.t(`group_settings.triggers.${settings.triggerMode}`),
+})}
+${ctx.t("group_settings.wake_words", {
+  words: settings.wakeWords.length
+    ? escapeMarkdown(settings.wakeWords.join(", "))
+    : ctx.t("group_settings.no_wake_words"),
+})}
+
+${ctx.t("group_settings.rate_limits", { window: limits.windowSeconds })}
+${ctx.t("group_settings.user_limit", { limit: limits.userLimit })}
+${ctx.t("group_settings.group_limit", { limit: limits.groupLimit })}
+
+${ctx.t("group_settings.hint")}`;
+}
 
-// /find command - Find answers to questions (concise 2-5 sentences)
-bot.command("find", async (ctx) => {
-  const text = ctx.match;
+function createGroupSettingsKeyboard(ctx, data) {
+  const settings = getGroupSettings(data.groups[ctx.chat.id]);
+  const limits = getGroupRateLimits(data, data.groups[ctx.chat.id]);
+  const keyboard = new InlineKeyboard();
 
-  if (!text || text.trim().length === 0) {
-    return ctx.reply(
-      "❗ Please provide text after the command.\n\nExample: /find How to install Node.js?"
+  GROUP_COMMANDS.forEach((command, index) => {
+    const enabled = !settings.disabledCommands.includes(command);
+    keyboard.text(
+      `${enabled ? "✅" : "🚫"} /${command}`,
+      `group_cmd_${command}`
     );
+    if (index % 3 === 2) keyboard.row();
+  });
+
+  keyboard
+    .row()
+    .text(
+      ctx.t(`group_settings.languages.${settings.language}`),
+      "group_cycle_language"
+    )
+    .text(getPersonaName(data, settings.persona), "group_cycle_persona")
+    .row()
+    .text(
+      ctx.t(`group_settings.triggers.${settings.triggerMode}`),
+      "group_cycle_triggerMode"
+    )
+    .row();
+
+  for (const field of Object.keys(GROUP_LIMIT_OPTIONS)) {
+    keyboard
+      .text("➖", `group_limit_dec_${field}`)
+      .text(`${ctx.t(`limits.${field}`)}: ${limits[field]}`, "settings_info")
+      .text("➕", `group_limit_inc_${field}`)
+      .row();
   }
 
-  try {
-    // Check if user is banned before processing AI request
-    const userAllowed = await saveUserInfo(
-      ctx.message.from.id,
-      ctx.message.from,
-      true
-    );
-    if (!userAllowed) {
-      return ctx.reply("❌ You are banned from using this bot.");
-    }
+  return keyboard
+    .text(ctx.t("group_settings.reset_limits"), "group_limits_reset")
+    .text(ctx.t("group_settings.close"), "group_close");
+}
 
-    // Show typing indicator
-    await ctx.replyWithChatAction("typing");
+// Values the cycling buttons step through
+const GROUP_SETTING_CYCLES = {
+  language: () => Object.keys(GROUP_LANGUAGES),
+  persona: (data) => Object.keys(data.personas),
+  triggerMode: () => TRIGGER_MODES,
+};
+
+// /settings command - Group settings panel for group admins
+bot.command("settings", async (ctx) => {
+  if (ctx.chat.type !== "group" && ctx.chat.type !== "supergroup") {
+    return ctx.reply(ctx.t("group_settings.private_chat"));
+  }
 
-    const findPrompt = `Please provide a concise answer (2-5 sentences maximum) to this question: ${text}`;
-    const response = await callOpenAI(findPrompt);
+  const userAllowed = await saveUserInfo(ctx.message.from.id, ctx.message.from);
+  if (!userAllowed) {
+    return replyBanned(ctx);
+  }
+  const groupAllowed = await saveGroupInfo(ctx.chat.id, ctx.chat);
+  if (!groupAllowed) {
+    return;
+  }
 
-    // Reply to the user's message in groups, direct reply in private chats
-    if (ctx.chat.type === "group" || ctx.chat.type === "supergroup") {
-      await ctx.reply(response, {
+  try {
+    if (!(await isChatAdmin(ctx))) {
+      return ctx.reply(ctx.t("group_settings.admins_only"), {
         reply_to_message_id: ctx.message.message_id,
       });
-    } else {
-      await ctx.reply(response);
     }
+
+    const data = await readData();
+    await ctx.reply(createGroupSettingsMessage(ctx, data), {
+      reply_markup: createGroupSettingsKeyboard(ctx, data),
+      parse_mode: "Markdown",
+    });
   } catch (error) {
-    console.error("Error in /find command:", error);
-    await ctx.reply("⚠️ Error: Something went wrong, please try again later.");
+    logger.error("Error in /settings command:", error);
+    await ctx.reply(ctx.t("common.error"));
   }
 });
 
-// /agent command - Act as smart assistant with detailed solutions
-bot.command("agent", async (ctx) => {
-  const text = ctx.match;
+// Handle the group settings panel buttons
+bot.callbackQuery(/^group_/, async (ctx) => {
+  try {
+    if (!(await isChatAdmin(ctx))) {
+      return ctx.answerCallbackQuery(
+        ctx.t("group_settings.callback_admins_only")
+      );
+    }
 
-  if (!text || text.trim().length === 0) {
-    return ctx.reply(
-      "❗ Please provide text after the command.\n\nExample: /agent Help me prepare for a React job interview"
-    );
+    const action = ctx.callbackQuery.data;
+    if (action === "group_close") {
+      await ctx.deleteMessage();
+      return ctx.answerCallbackQuery();
+    }
+
+    const chatId = ctx.chat.id;
+    let notice = "";
+
+    const data = await updateData((data) => {
+      const group = data.groups[chatId];
+      if (!group) return data;
+      const settings = getGroupSettings(group);
+
+      let match;
+      if ((match = action.match(/^group_cmd_(\w+)$/))) {
+        const command = match[1];
+        const disabled = settings.disabledCommands.includes(command);
+        settings.disabledCommands = disabled
+          ? settings.disabledCommands.filter((c) => c !== command)
+          : [...settings.disabledCommands, command];
+        notice = ctx.t(
+          disabled
+            ? "group_settings.command_enabled"
+            : "group_settings.command_disabled",
+          { command }
+        );
+      } else if ((match = action.match(/^group_cycle_(\w+)$/))) {
+        const field = match[1];
+        const values = GROUP_SETTING_CYCLES[field](data);
+        settings[field] =
+          values[(values.indexOf(settings[field]) + 1) % values.length];
+      } else if ((match = action.match(/^group_limit_(inc|dec)_(\w+)$/))) {
+        const [, direction, field] = match;
+        const option = GROUP_LIMIT_OPTIONS[field];
+        const current = getGroupRateLimits(data, group)[field];
+        const delta = direction === "inc" ? option.step : -option.step;
+        const value = Math.min(
+          getAntiSpamLimits(data)[field],
+          Math.max(option.min, current + delta)
+        );
+        settings.rateLimits = { ...settings.rateLimits, [field]: value };
+        notice = `${ctx.t(`limits.${field}`)}: ${value}`;
+      } else if (action === "group_limits_reset") {
+        settings.rateLimits = {};
+        notice = ctx.t("group_settings.limits_reset");
+      }
+
+      group.settings = settings;
+      return data;
+    });
+
+    await ctx.editMessageText(createGroupSettingsMessage(ctx, data), {
+      reply_markup: createGroupSettingsKeyboard(ctx, data),
+      parse_mode: "Markdown",
+    });
+    await ctx.answerCallbackQuery(notice);
+  } catch (error) {
+    logger.error("Error updating group settings:", error);
+    ctx.answerCallbackQuery(ctx.t("common.callback_error"));
+  }
+});
+
+// Wake word limits
+const MAX_WAKE_WORDS = 10;
+const MAX_WAKE_WORD_LENGTH = 32;
+
+// /wakewords command - Words that call the bot in a group like a mention.
+// Group admins change them: /wakewords sahl, assistant or /wakewords off.
+bot.command("wakewords", async (ctx) => {
+  if (ctx.chat.type !== "group" && ctx.chat.type !== "supergroup") {
+    return ctx.reply(ctx.t("wakewords.groups_only"));
+  }
+
+  const userAllowed = await saveUserInfo(ctx.message.from.id, ctx.message.from);
+  if (!userAllowed) {
+    return replyBanned(ctx);
+  }
+  const groupAllowed = await saveGroupInfo(ctx.chat.id, ctx.chat);
+  if (!groupAllowed) {
+    return;
   }
 
+  const args = ctx.match.trim();
+
   try {
-    // Check if user is banned before processing AI request
-    const userAllowed = await saveUserInfo(
-      ctx.message.from.id,
-      ctx.message.from,
-      true
-    );
-    if (!userAllowed) {
-      return ctx.reply("❌ You are banned from using this bot.");
+    if (!args) {
+      const data = await readData();
+      const { wakeWords } = getGroupSettings(data.groups[ctx.chat.id]);
+      return ctx.reply(
+        wakeWords.length
+          ? ctx.t("wakewords.list", { words: wakeWords.join(", ") })
+          : ctx.t("wakewords.none")
+      );
     }
 
-    // Show typing indicator
-    await ctx.replyWithChatAction("typing");
+    if (!(await isChatAdmin(ctx))) {
+      return ctx.reply(ctx.t("wakewords.admins_only"), {
+        reply_to_message_id: ctx.message.message_id,
+      });
+    }
 
-    const agentPrompt = `Act as a smart assistant and provide detailed step-by-step solutions, brainstorming ideas, or comprehensive instructions for this request: ${text}
-        
-        Please provide alternatives, improvements, or suggestions where appropriate. Be thorough but organized.`;
+    const wakeWords =
+      args.toLowerCase() === "off"
+        ? []
+        : [
+            ...new Set(
+              args
+                .split(",")
+                .map((word) => word.trim().toLowerCase())
+                .filter(Boolean)
+            ),
+          ];
 
-    const response = await callOpenAI(agentPrompt);
+    if (
+      wakeWords.length > MAX_WAKE_WORDS ||
+      wakeWords.some(
+        (word) => word.length < 2 || word.length > MAX_WAKE_WORD_LENGTH
+      )
+    ) {
+      return ctx.reply(
+        ctx.t("wakewords.invalid", {
+          max: MAX_WAKE_WORDS,
+          length: MAX_WAKE_WORD_LENGTH,
+        }),
+        { reply_to_message_id: ctx.message.message_id }
+      );
+    }
+
+    await updateData((data) => {
+      const group = data.groups[ctx.chat.id];
+      group.settings = { ...getGroupSettings(group), wakeWords };
+    });
+
+    await ctx.reply(
+      wakeWords.length
+        ? ctx.t("wakewords.set", { words: wakeWords.join(", ") })
+        : ctx.t("wakewords.removed")
+    );
+  } catch (error) {
+    logger.error("Error in /wakewords command:", error);
+    await ctx.reply(ctx.t("common.error"));
+  }
+});
+
+// /voice command - Turn spoken replies to voice messages on or off
+bot.command("voice", async (ctx) => {
+  const userAllowed = await saveUserInfo(ctx.message.from.id, ctx.message.from);
+  if (!userAllowed) {
+    return replyBanned(ctx);
+  }
+
+  if (!isSpeechConfigured()) {
+    return ctx.reply(ctx.t("voice.disabled"));
+  }
 
-    // Reply to the user's message in groups, direct reply in private chats
-    if (ctx.chat.type === "group" || ctx.chat.type === "supergroup") {
-      await ctx.reply(response, {
-        reply_to_message_id: ctx.message.message_id,
-      });
-    } else {
-      await ctx.reply(response);
+  try {
+    const option = ctx.match.trim().toLowerCase();
+    const userId = ctx.message.from.id;
+
+    if (option !== "on" && option !== "off") {
+      const data = await readData();
+      const enabled = !!data.users[userId]?.voiceReplies;
+      return ctx.reply(
+        ctx.t("voice.status", {
+          state: ctx.t(enabled ? "common.on" : "common.off"),
+        })
+      );
     }
+
+    await updateData((data) => {
+      if (data.users[userId]) {
+        data.users[userId].voiceReplies = option === "on";
+      }
+    });
+
+    await ctx.reply(
+      ctx.t(option === "on" ? "voice.enabled_notice" : "voice.disabled_notice")
+    );
   } catch (error) {
-    console.error("Error in /agent command:", error);
-    await ctx.reply("⚠️ Error: Something went wrong, please try again later.");
+    logger.error("Error in /voice command:", error);
+    await ctx.reply(ctx.t("common.error"));
   }
 });
 
-// /translate command - Translate text between languages
-bot.command("translate", async (ctx) => {
-  const text = ctx.match;
+// Language picker: every locale plus the automatic choice
+function createLanguageKeyboard(ctx) {
+  const keyboard = new InlineKeyboard();
+  for (const code of Object.keys(locales).sort()) {
+    keyboard.text(t(code, "language_name"), `language_${code}`).row();
+  }
 
-  if (!text || text.trim().length === 0) {
-    return ctx.reply(
-      "❗ Please provide text after the command.\n\nExample: /translate [en->es] Hello, how are you?"
-    );
+  // What "automatic" resolves to: the Telegram app language or the default
+  const automatic = getLocale(ctx);
+  return keyboard.text(
+    ctx.t("language.auto", { language: t(automatic, "language_name") }),
+    "language_auto"
+  );
+}
+
+// Save the language chosen by a user ("auto" follows the Telegram app)
+// and reply in the new language
+async function setUserLanguage(ctx, code) {
+  await updateData((data) => {
+    const user = data.users[ctx.from.id];
+    if (!user) return;
+    if (code === "auto") delete user.language;
+    else user.language = code;
+  });
+
+  ctx.locale = getLocale(ctx, await readData());
+  return ctx.t(code === "auto" ? "language.auto_selected" : "language.changed");
+}
+
+// /language command - Choose the language of the bot, e.g. /language ru
+bot.command("language", async (ctx) => {
+  const userAllowed = await saveUserInfo(ctx.message.from.id, ctx.message.from);
+  if (!userAllowed) {
+    return replyBanned(ctx);
   }
 
   try {
-    // Check if user is banned before processing AI request
-    const userAllowed = await saveUserInfo(
-      ctx.message.from.id,
-      ctx.message.from,
-      true
-    );
-    if (!userAllowed) {
-      return ctx.reply("❌ You are banned from using this bot.");
+    const code = ctx.match.trim().toLowerCase();
+    if (code === "auto" || locales[code]) {
+      return ctx.reply(await setUserLanguage(ctx, code));
     }
 
-    // Show typing indicator
-    await ctx.replyWithChatAction("typing");
-
-    // Parse the translation request
-    const langRegex = /^\[([a-z]{2})->([a-z]{2})\]\s*(.+)$/i;
-    const match = text.match(langRegex);
+    await ctx.reply(
+      ctx.t("language.current", { language: ctx.t("language_name") }),
+      { reply_markup: createLanguageKeyboard(ctx) }
+    );
+  } catch (error) {
+    logger.error("Error in /language command:", error);
+    await ctx.reply(ctx.t("common.error"));
+  }
+});
 
-    let translatePrompt;
-    if (match) {
-      const [, sourceLang, targetLang, textToTranslate] = match;
-      translatePrompt = `Translate the following text from ${sourceLang} to ${targetLang}. Provide only the translation, nothing else: ${textToTranslate}`;
-    } else {
-      // If no language specification, try to detect and ask for clarification
-      translatePrompt = `Please translate this text to English (or if it's already in English, translate to Spanish). If you're unsure about the source language, please detect it first: ${text}`;
+// Handle the language picker buttons
+bot.callbackQuery(/^language_(\w+)$/, async (ctx) => {
+  try {
+    const code = ctx.match[1];
+    if (code !== "auto" && !locales[code]) {
+      return ctx.answerCallbackQuery();
     }
 
-    const response = await callOpenAI(translatePrompt);
-
-    // Reply to the user's message in groups, direct reply in private chats
-    if (ctx.chat.type === "group" || ctx.chat.type === "supergroup") {
-      await ctx.reply(response, {
-        reply_to_message_id: ctx.message.message_id,
-      });
-    } else {
-      await ctx.reply(response);
+    const userAllowed = await saveUserInfo(ctx.from.id, ctx.from);
+    if (!userAllowed) {
+      banRejectionCounter.inc({ ban: "permanent" });
+      return ctx.answerCallbackQuery(ctx.t("common.banned"));
     }
+
+    await ctx.editMessageText(await setUserLanguage(ctx, code));
+    await ctx.answerCallbackQuery();
   } catch (error) {
-    console.error("Error in /translate command:", error);
-    await ctx.reply("⚠️ Error: Something went wrong, please try again later.");
+    logger.error("Error changing language:", error);
+    ctx.answerCallbackQuery(ctx.t("common.callback_error"));
   }
 });
 
-// /summarize command - Summarize long text into key points
-bot.command("summarize", async (ctx) => {
-  const text = ctx.match;
+// Split a caption like "/translate@my_bot [en->de]" into an AI command
+// and its arguments. Returns null when the caption has no AI command.
+function parseCaptionCommand(ctx, caption) {
+  const match = caption.match(/^\/(\w+)(?:@(\w+))?\s*([\s\S]*)$/);
+  if (!match) return null;
 
-  if (!text || text.trim().length === 0) {
-    return ctx.reply(
-      "❗ Please provide text after the command.\n\nExample: /summarize [your long text here]"
-    );
+  const [, name, username, args] = match;
+  const command = name.toLowerCase();
+  if (
+    !AI_COMMANDS[command] ||
+    (username && username.toLowerCase() !== ctx.me.username.toLowerCase())
+  ) {
+    return null;
   }
+  return { command, args: args.trim() };
+}
 
-  try {
-    // Check if user is banned before processing AI request
-    const userAllowed = await saveUserInfo(
-      ctx.message.from.id,
-      ctx.message.from,
-      true
-    );
-    if (!userAllowed) {
-      return ctx.reply("❌ You are banned from using this bot.");
-    }
-
-    // Show typing indicator
-    await ctx.replyWithChatAction("typing");
+// Handle voice notes and audio files: transcribe them, then answer like
+// a text message, or run the command given in the caption
+bot.on(["message:voice", "message:audio"], async (ctx) => {
+  const message = ctx.message;
+  const audio = message.voice || message.audio;
+  const captionCommand = parseCaptionCommand(ctx, message.caption || "");
 
-    const summarizePrompt = `Please summarize the following text in 2-4 sentences maximum. Focus on the key points and main ideas: ${text}`;
-    const response = await callOpenAI(summarizePrompt);
+  // In groups the trigger mode of the group decides, like for text
+  if (!captionCommand && !(await shouldAnswerMessage(ctx))) {
+    return;
+  }
 
-    // Reply to the user's message in groups, direct reply in private chats
-    if (ctx.chat.type === "group" || ctx.chat.type === "supergroup") {
-      await ctx.reply(response, {
-        reply_to_message_id: ctx.message.message_id,
-      });
-    } else {
-      await ctx.reply(response);
+  const userAllowed = await saveUserInfo(message.from.id, message.from);
+  if (!userAllowed) {
+    banRejectionCounter.inc({ ban: "permanent" });
+    return;
+  }
+  if (ctx.chat.type === "group" || ctx.chat.type === "supergroup") {
+    const groupAllowed = await saveGroupInfo(ctx.chat.id, ctx.chat);
+    if (!groupAllowed) {
+      return;
     }
-  } catch (error) {
-    console.error("Error in /summarize command:", error);
-    await ctx.reply("⚠️ Error: Something went wrong, please try again later.");
   }
-});
-
-// /improve command - Improve text style and grammar
-bot.command("improve", async (ctx) => {
-  const text = ctx.match;
 
-  if (!text || text.trim().length === 0) {
+  if (!isSpeechConfigured()) {
+    return ctx.reply(ctx.t("voice.disabled"));
+  }
+  if (
+    audio.duration > MAX_VOICE_DURATION_SECONDS ||
+    audio.file_size > TELEGRAM_DOWNLOAD_LIMIT
+  ) {
     return ctx.reply(
-      "❗ Please provide text after the command.\n\nExample: /improve i am good developer and want job"
+      ctx.t("voice.too_long", {
+        count: Math.floor(MAX_VOICE_DURATION_SECONDS / 60),
+      }),
+      { reply_to_message_id: message.message_id }
     );
   }
 
   try {
-    // Check if user is banned before processing AI request
-    const userAllowed = await saveUserInfo(
-      ctx.message.from.id,
-      ctx.message.from,
-      true
-    );
-    if (!userAllowed) {
-      return ctx.reply("❌ You are banned from using this bot.");
+    // Don't pay for a transcription of a command disabled in the group,
+    // or that the user is rate limited for or has no quota left for
+    if (
+      captionCommand &&
+      (await isCommandDisabled(ctx, captionCommand.command))
+    ) {
+      return;
+    }
+    if (!(await enforceRateLimit(ctx)) || !(await enforceQuota(ctx))) {
+      return;
     }
 
-    // Show typing indicator
     await ctx.replyWithChatAction("typing");
 
-    const improvePrompt = `Please improve the following text by fixing grammar, enhancing clarity, and making it more professional while keeping the original meaning: ${text}`;
-    const response = await callOpenAI(improvePrompt);
+    const { buffer, filePath } = await downloadTelegramFile(ctx, audio.file_id);
+    // Telegram stores voice notes as .oga, which is plain Ogg Opus
+    const fileName = message.voice
+      ? "voice.ogg"
+      : audio.file_name || path.basename(filePath);
+    const transcript = await transcribeAudio(buffer, fileName);
+    await recordUsage(ctx, TRANSCRIPTION_MODEL, {
+      cost: estimateTranscriptionCost(audio.duration),
+    });
 
-    // Reply to the user's message in groups, direct reply in private chats
-    if (ctx.chat.type === "group" || ctx.chat.type === "supergroup") {
-      await ctx.reply(response, {
-        reply_to_message_id: ctx.message.message_id,
+    if (!transcript) {
+      return ctx.reply(ctx.t("voice.no_speech"), {
+        reply_to_message_id: message.message_id,
       });
+    }
+
+    const data = await readData();
+    // The rate limit was applied above, the answer doesn't count again
+    const options = {
+      spoken: !!data.users[message.from.id]?.voiceReplies,
+      rateLimited: true,
+    };
+
+    if (captionCommand) {
+      // The caption arguments come first, e.g. "[en->de]" for /translate
+      const text = `${captionCommand.args} ${transcript}`.trim();
+      await runAICommand(ctx, captionCommand.command, text, options);
     } else {
-      await ctx.reply(response);
+      await handleSmartResponse(ctx, transcript, options);
     }
   } catch (error) {
-    console.error("Error in /improve command:", error);
-    await ctx.reply("⚠️ Error: Something went wrong, please try again later.");
+    logger.error("Error handling voice message:", error);
+    await ctx.reply(getErrorMessage(ctx, error));
   }
 });
 
-// /talk command - Have casual conversations with the bot
-bot.command("talk", async (ctx) => {
-  const text = ctx.match;
+// Handle photos and image documents: answer the caption question about
+// the image, or run the command given in the caption
+bot.on(["message:photo", "message:document"], async (ctx, next) => {
+  const message = ctx.message;
+  const image = getMessageImage(message);
+  if (!image) {
+    return next(); // Not an image document
+  }
 
-  if (!text || text.trim().length === 0) {
-    return ctx.reply(
-      "❗ Please provide a message after the command.\n\nExample: /talk Hello, how are you?"
-    );
+  const caption = message.caption || "";
+  const captionCommand = parseCaptionCommand(ctx, caption);
+
+  // In groups the trigger mode of the group decides, like for text
+  if (!captionCommand && !(await shouldAnswerMessage(ctx))) {
+    return;
   }
 
-  try {
-    // Check if user is banned before processing AI request
-    const userAllowed = await saveUserInfo(
-      ctx.message.from.id,
-      ctx.message.from,
-      true
-    );
-    if (!userAllowed) {
-      return ctx.reply("❌ You are banned from using this bot.");
+  const userAllowed = await saveUserInfo(message.from.id, message.from);
+  if (!userAllowed) {
+    banRejectionCounter.inc({ ban: "permanent" });
+    return;
+  }
+  if (ctx.chat.type === "group" || ctx.chat.type === "supergroup") {
+    const groupAllowed = await saveGroupInfo(ctx.chat.id, ctx.chat);
+    if (!groupAllowed) {
+      return;
     }
+  }
 
-    // Show typing indicator
-    await ctx.replyWithChatAction("typing");
+  if (captionCommand) {
+    return runAICommand(ctx, captionCommand.command, captionCommand.args, {
+      image,
+    });
+  }
 
-    const response = await callOpenAI(text, TALK_SYSTEM_PROMPT);
+  if (image.fileSize > MAX_IMAGE_BYTES) {
+    return ctx.reply(ctx.t("image.too_large"), {
+      reply_to_message_id: message.message_id,
+    });
+  }
 
-    // Reply to the user's message in groups, direct reply in private chats
-    if (ctx.chat.type === "group" || ctx.chat.type === "supergroup") {
-      await ctx.reply(response, {
-        reply_to_message_id: ctx.message.message_id,
-      });
-    } else {
-      await ctx.reply(response);
+  // Remove bot mention from the caption, default to describing the image
+  const data = await readData();
+  const { wakeWords } = getGroupSettings(data.groups[ctx.chat.id]);
+  const question =
+    findBotAddress(ctx, message, wakeWords).text || "What is in this image?";
+  await handleSmartResponse(ctx, question, { image });
+});
+
+// Handle documents sent with /summarize or /translate as caption
+bot.on("message:document", async (ctx) => {
+  const captionCommand = parseCaptionCommand(ctx, ctx.message.caption || "");
+  if (!captionCommand) {
+    return;
+  }
+
+  const userAllowed = await saveUserInfo(ctx.message.from.id, ctx.message.from);
+  if (!userAllowed) {
+    banRejectionCounter.inc({ ban: "permanent" });
+    return;
+  }
+  if (ctx.chat.type === "group" || ctx.chat.type === "supergroup") {
+    const groupAllowed = await saveGroupInfo(ctx.chat.id, ctx.chat);
+    if (!groupAllowed) {
+      return;
     }
-  } catch (error) {
-    console.error("Error in /talk command:", error);
-    await ctx.reply("⚠️ Error: Something went wrong, please try again later.");
   }
+
+  const documentFile = getMessageDocument(ctx.message);
+  const { command, args } = captionCommand;
+  if (await isCommandDisabled(ctx, command)) {
+    return;
+  }
+  if (!documentFile || (command !== "summarize" && command !== "translate")) {
+    return ctx.reply(ctx.t("document.unsupported"), {
+      reply_to_message_id: ctx.message.message_id,
+    });
+  }
+
+  await runDocumentCommand(ctx, command, args, documentFile);
 });
 
 // Handle unknown commands or regular messages with smart reply detection
@@ -1192,6 +6450,10 @@ bot.on("message:text", async (ctx) => {
       ctx.message.from
     );
     if (!userAllowed) {
+      // Most messages of a group aren't requests to the bot
+      if (await isAddressedToBot(ctx)) {
+        banRejectionCounter.inc({ ban: "permanent" });
+      }
       return; // User is banned, don't process message
     }
   }
@@ -1204,11 +6466,22 @@ bot.on("message:text", async (ctx) => {
     }
   }
 
-  // Skip if it's a command that was already handled
+  // Keep group messages for /tldr and digests in groups that opted in
+  if (
+    (ctx.chat.type === "group" || ctx.chat.type === "supergroup") &&
+    !ctx.message.from.is_bot &&
+    !text.startsWith("/")
+  ) {
+    await recordGroupMessage(ctx, text);
+  }
+
+  // Skip if it's a command that was already handled. Commands for other
+  // bots in the group are none of our business.
   if (text.startsWith("/")) {
-    return ctx.reply(
-      "❓ Unknown command. Type /help to see available commands."
-    );
+    if (!isOwnCommand(ctx, text.split(/\s/)[0])) {
+      return;
+    }
+    return ctx.reply(ctx.t("common.unknown_command"));
   }
 
   // Check if this is a reply to a bot message
@@ -1216,16 +6489,9 @@ bot.on("message:text", async (ctx) => {
     const repliedMessage = ctx.message.reply_to_message;
 
     // Check if the replied message is from our bot
-    if (
-      repliedMessage.from &&
-      repliedMessage.from.is_bot &&
-      repliedMessage.from.username === ctx.me.username
-    ) {
-      // Extract context from the original bot message
-      const originalContext = repliedMessage.text;
-
-      // Use smart response system with context
-      await handleSmartResponse(ctx, text, originalContext);
+    if (isOwnBotMessage(ctx, repliedMessage)) {
+      // Use smart response system, continuing the conversation thread
+      await handleSmartResponse(ctx, text);
       return;
     }
   }
@@ -1234,60 +6500,364 @@ bot.on("message:text", async (ctx) => {
   if (ctx.chat.type === "private") {
     await handleSmartResponse(ctx, text);
   } else {
-    // In groups, only respond if bot is mentioned or it's clearly directed at the bot
-    const botUsername = ctx.me.username;
-    const mentionedBot =
-      text.includes(`@${botUsername}`) ||
-      text.toLowerCase().includes("bot") ||
-      text.toLowerCase().includes(ctx.me.first_name.toLowerCase());
-
-    if (mentionedBot) {
-      // Remove bot mention from text for processing
-      const cleanText = text
-        .replace(`@${botUsername}`, "")
-        .replace(/\bbot\b/gi, "")
-        .trim();
-      await handleSmartResponse(ctx, cleanText || text);
+    // Group admins choose when the bot answers (see /settings)
+    const data = await readData();
+    const { triggerMode, wakeWords } = getGroupSettings(
+      data.groups[ctx.chat.id]
+    );
+    if (triggerMode === "replies") {
+      return;
+    }
+
+    // In groups, only respond if the bot is mentioned or called by a wake word
+    const address = findBotAddress(ctx, ctx.message, wakeWords);
+    if (triggerMode === "all" || address.addressed) {
+      // Respond without the mention; a bare "@bot" keeps the text
+      await handleSmartResponse(ctx, address.text || text);
     }
   }
 });
 
-// Graceful shutdown handling
-process.on("SIGINT", () => {
-  console.log("\n🛑 Shutting down bot gracefully...");
+// Graceful shutdown: stop taking updates, let the ones in progress
+// finish, then remove the webhook and write pending data changes
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info(`🛑 Received ${signal}, shutting down bot gracefully...`);
 
   // Clear keep-alive interval
   if (keepAliveInterval) {
     clearInterval(keepAliveInterval);
-    console.log("🔄 Keep-alive mechanism stopped");
+    logger.info("🔄 Keep-alive mechanism stopped");
   }
+  clearInterval(schedulerInterval);
 
-  bot.stop();
-  server.close(() => {
-    console.log("🌐 HTTP server closed");
-    process.exit(0);
-  });
+  try {
+    if (runner && runner.isRunning()) {
+      await runner.stop();
+      logger.info("🤖 Polling stopped");
+    }
+    await new Promise((resolve) => server.close(resolve));
+    logger.info("🌐 HTTP server closed");
+    await removeWebhook();
+
+    // Write pending data changes before exiting
+    await flushData();
+    if (storage) await storage.close();
+    logger.info("💾 Data saved");
+  } catch (error) {
+    logger.error("Error during shutdown:", error);
+    process.exit(1);
+  }
+
+  process.exit(0);
+}
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+// Webhook mode (BOT_MODE=webhook): Telegram posts updates to the HTTP
+// server instead of the bot polling for them, and every update has to
+// carry the secret token in the X-Telegram-Bot-Api-Secret-Token header.
+// Each start registers its own path, so an old instance shutting down
+// during a deploy doesn't remove the webhook of the new one.
+const WEBHOOK_MODE =
+  (process.env.BOT_MODE || "polling").toLowerCase() === "webhook";
+const WEBHOOK_URL = process.env.WEBHOOK_URL || process.env.RENDER_EXTERNAL_URL;
+const WEBHOOK_PATH = `/webhook/${randomBytes(8).toString("hex")}`;
+const WEBHOOK_SECRET =
+  process.env.WEBHOOK_SECRET || randomBytes(32).toString("hex");
+
+// Answer Telegram after 10 seconds even if the update is still being
+// handled (AI answers can take longer), otherwise it sends it again
+const handleWebhook = webhookCallback(bot, "http", {
+  secretToken: WEBHOOK_SECRET,
+  onTimeout: "return",
 });
 
-process.on("SIGTERM", () => {
-  console.log("\n🛑 Shutting down bot gracefully...");
+// Register the webhook of this instance with Telegram
+async function setupWebhook() {
+  if (!WEBHOOK_URL) {
+    throw new Error("WEBHOOK_URL is required in .env file for webhook mode");
+  }
 
-  // Clear keep-alive interval
-  if (keepAliveInterval) {
-    clearInterval(keepAliveInterval);
-    console.log("🔄 Keep-alive mechanism stopped");
+  await bot.init();
+  await bot.api.setWebhook(
+    `${WEBHOOK_URL.replace(/\/+$/, "")}${WEBHOOK_PATH}`,
+    { secret_token: WEBHOOK_SECRET }
+  );
+  telegramHealth.webhookSetAt = Date.now();
+  logger.info(`🪝 Webhook set to ${WEBHOOK_URL}`);
+}
+
+// Remove the webhook on shutdown if it is still the one of this instance
+async function removeWebhook() {
+  if (!WEBHOOK_MODE) return;
+
+  try {
+    const info = await bot.api.getWebhookInfo();
+    if (info.url.endsWith(WEBHOOK_PATH)) {
+      await bot.api.deleteWebhook();
+      logger.info("🪝 Webhook removed");
+    }
+  } catch (error) {
+    logger.error("Error removing webhook:", error);
   }
+}
 
-  bot.stop();
-  server.close(() => {
-    console.log("🌐 HTTP server closed");
-    process.exit(0);
-  });
+// Health checks: /livez answers as long as the process runs, /readyz
+// checks storage, the connection to Telegram and the AI provider. Each
+// check is "ok", "degraded" or "fail"; any failed check fails readiness.
+const HEALTH_STATUSES = ["ok", "degraded", "fail"];
+const AI_HEALTH_WINDOW_MS = 10 * 60 * 1000;
+const AI_HEALTH_MIN_REQUESTS = 5; // Fewer requests say little about the rate
+const AI_ERROR_RATE_DEGRADED = 0.2;
+const AI_ERROR_RATE_FAIL = 0.5;
+// Long polling asks for updates every 30 seconds at most
+const TELEGRAM_POLL_STALE_MS = 2 * 60 * 1000;
+// Time after the start to poll or set the webhook before readiness fails
+const TELEGRAM_STARTUP_GRACE_MS = 60 * 1000;
+// Optional model probe (READINESS_AI_PROBE=true), its result is cached
+const READINESS_AI_PROBE = process.env.READINESS_AI_PROBE === "true";
+const AI_PROBE_CACHE_MS = 5 * 60 * 1000;
+
+// Finished AI requests of the health window: { at, failed }
+const aiOutcomes = [];
+// Last update received (getUpdates or webhook), when the webhook was set
+// and whether Telegram rejected the bot token
+const telegramHealth = {
+  lastUpdateAt: null,
+  webhookSetAt: null,
+  unauthorized: false,
+};
+let aiProbe = null; // { checkedAt, promise }
+
+// Record a finished AI request. Errors caused by the request itself
+// (filtered content, too long conversations) don't count as failures.
+function recordAIOutcome(error) {
+  const now = Date.now();
+  const failed =
+    !!error && !["content_filtered", "context_too_long"].includes(error.type);
+  aiOutcomes.push({ at: now, failed });
+  while (
+    aiOutcomes.length > 0 &&
+    now - aiOutcomes[0].at > AI_HEALTH_WINDOW_MS
+  ) {
+    aiOutcomes.shift();
+  }
+}
+
+// Watch the Telegram API calls: successful getUpdates calls show that
+// polling works, a 401 means the token was revoked
+bot.api.config.use(async (prev, method, payload, signal) => {
+  const result = await prev(method, payload, signal);
+  if (result.ok) {
+    telegramHealth.unauthorized = false;
+    if (method === "getUpdates") telegramHealth.lastUpdateAt = Date.now();
+  } else if (result.error_code === 401) {
+    telegramHealth.unauthorized = true;
+  }
+  return result;
 });
 
-// Create HTTP server for health checks and keep-alive
-const server = createServer((req, res) => {
-  if (req.url === "/health" || req.url === "/") {
+// Worst status of several checks
+function worstHealthStatus(statuses) {
+  return statuses.reduce(
+    (worst, status) =>
+      HEALTH_STATUSES.indexOf(status) > HEALTH_STATUSES.indexOf(worst)
+        ? status
+        : worst,
+    "ok"
+  );
+}
+
+async function checkStorageHealth() {
+  if (!storage) {
+    return { status: "fail", error: "Storage is not initialized yet" };
+  }
+
+  try {
+    await storage.check();
+  } catch (error) {
+    return { status: "fail", backend: storage.name, error: error.message };
+  }
+
+  // Writes are retried, but the data only lives in memory until then
+  if (lastFlushError) {
+    return {
+      status: "degraded",
+      backend: storage.name,
+      error: `Last write failed: ${lastFlushError.message}`,
+    };
+  }
+  return { status: "ok", backend: storage.name };
+}
+
+function checkTelegramHealth() {
+  const mode = WEBHOOK_MODE ? "webhook" : "polling";
+  const lastUpdateAt = telegramHealth.lastUpdateAt
+    ? new Date(telegramHealth.lastUpdateAt).toISOString()
+    : null;
+
+  if (telegramHealth.unauthorized) {
+    return {
+      status: "fail",
+      mode,
+      lastUpdateAt,
+      error: "Telegram rejected the bot token",
+    };
+  }
+
+  // Not connected yet: fine while the bot starts, a failure afterwards
+  const connected = WEBHOOK_MODE
+    ? telegramHealth.webhookSetAt
+    : telegramHealth.lastUpdateAt;
+  if (!connected) {
+    return {
+      status:
+        process.uptime() * 1000 > TELEGRAM_STARTUP_GRACE_MS
+          ? "fail"
+          : "degraded",
+      mode,
+      lastUpdateAt,
+      error: WEBHOOK_MODE ? "Webhook not set yet" : "Not polled yet",
+    };
+  }
+
+  // Webhook deliveries only come when users write, so a quiet bot is fine
+  if (WEBHOOK_MODE) {
+    return { status: "ok", mode, lastUpdateAt };
+  }
+  if (Date.now() - telegramHealth.lastUpdateAt > TELEGRAM_POLL_STALE_MS) {
+    return {
+      status: "fail",
+      mode,
+      lastUpdateAt,
+      error: "No successful getUpdates recently",
+    };
+  }
+  return { status: "ok", mode, lastUpdateAt };
+}
+
+// Send a tiny request to the primary model, at most once per cache period
+function probeAIProvider() {
+  if (aiProbe && Date.now() - aiProbe.checkedAt < AI_PROBE_CACHE_MS) {
+    return aiProbe.promise;
+  }
+
+  const { provider, model } = resolveCommandModel();
+  const promise = getAIProvider(provider)
+    .complete({
+      model,
+      system: "Reply with OK.",
+      messages: [{ role: "user", content: "ping" }],
+      maxTokens: 5,
+      temperature: 0,
+      signal: AbortSignal.timeout(AI_REQUEST_TIMEOUT_MS),
+    })
+    .then(() => ({ status: "ok", checkedAt: new Date().toISOString() }))
+    .catch((error) => ({
+      status: "fail",
+      checkedAt: new Date().toISOString(),
+      error: error.message,
+    }));
+  aiProbe = { checkedAt: Date.now(), promise };
+  return promise;
+}
+
+async function checkAIHealth() {
+  const now = Date.now();
+  const recent = aiOutcomes.filter(
+    (outcome) => now - outcome.at <= AI_HEALTH_WINDOW_MS
+  );
+  const errors = recent.filter((outcome) => outcome.failed).length;
+  const errorRate = recent.length > 0 ? errors / recent.length : 0;
+
+  let status = "ok";
+  if (recent.length >= AI_HEALTH_MIN_REQUESTS) {
+    if (errorRate >= AI_ERROR_RATE_FAIL) status = "fail";
+    else if (errorRate >= AI_ERROR_RATE_DEGRADED) status = "degraded";
+  }
+
+  const result = {
+    status,
+    requests: recent.length,
+    errors,
+    errorRate: Number(errorRate.toFixed(3)),
+    windowSeconds: AI_HEALTH_WINDOW_MS / 1000,
+  };
+  if (READINESS_AI_PROBE) {
+    result.probe = await probeAIProvider();
+    result.status = worstHealthStatus([result.status, result.probe.status]);
+  }
+  return result;
+}
+
+// Run all readiness checks
+async function getReadiness() {
+  const checks = {
+    storage: await checkStorageHealth(),
+    telegram: checkTelegramHealth(),
+    ai: await checkAIHealth(),
+  };
+
+  return {
+    status: worstHealthStatus(Object.values(checks).map((c) => c.status)),
+    checks,
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+// Create HTTP server for health checks, metrics, keep-alive and webhook
+// updates
+const server = createServer(async (req, res) => {
+  if (WEBHOOK_MODE && req.method === "POST" && req.url === WEBHOOK_PATH) {
+    handleWebhook(req, res)
+      .then(() => {
+        if (res.statusCode === 200) telegramHealth.lastUpdateAt = Date.now();
+      })
+      .catch((error) => {
+        logger.error("Error in webhook:", error);
+        if (!res.headersSent) {
+          res.writeHead(500);
+          res.end();
+        }
+      });
+  } else if (req.url === "/metrics") {
+    try {
+      const body = await register.metrics();
+      res.writeHead(200, { "Content-Type": register.contentType });
+      res.end(body);
+    } catch (error) {
+      logger.error("Error collecting metrics:", error);
+      res.writeHead(500, { "Content-Type": "text/plain" });
+      res.end("Error collecting metrics");
+    }
+  } else if (req.url === "/livez") {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(
+      JSON.stringify({
+        status: "ok",
+        uptime: process.uptime(),
+        timestamp: new Date().toISOString(),
+      })
+    );
+  } else if (req.url === "/readyz") {
+    try {
+      const readiness = await getReadiness();
+      res.writeHead(readiness.status === "fail" ? 503 : 200, {
+        "Content-Type": "application/json",
+      });
+      res.end(JSON.stringify(readiness));
+    } catch (error) {
+      logger.error("Error checking readiness:", error);
+      res.writeHead(503, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ status: "fail", error: error.message }));
+    }
+  } else if (req.url === "/health" || req.url === "/") {
     res.writeHead(200, { "Content-Type": "application/json" });
     res.end(
       JSON.stringify({
@@ -1309,37 +6879,41 @@ const PORT = process.env.PORT || 3000;
 // Keep-alive interval reference for cleanup
 let keepAliveInterval;
 
+// Update runner of polling mode, stopped on shutdown
+let runner;
+
 // Keep-alive function to prevent Render.com from sleeping
 function keepAlive() {
   const url =
     process.env.RENDER_EXTERNAL_URL || `https://sahl-ai-bot.onrender.com`;
 
-  console.log(`🏓 Pinging ${url}/health to stay awake...`);
+  logger.info(`🏓 Pinging ${url}/health to stay awake...`);
 
   https
     .get(`${url}/health`, (res) => {
       if (res.statusCode === 200) {
-        console.log("✅ Keep-alive ping successful");
+        logger.info("✅ Keep-alive ping successful");
       } else {
-        console.log(`⚠️ Keep-alive ping returned status: ${res.statusCode}`);
+        logger.warn(`⚠️ Keep-alive ping returned status: ${res.statusCode}`);
       }
     })
     .on("error", (err) => {
-      console.log("❌ Keep-alive ping failed:", err.message);
+      logger.warn("❌ Keep-alive ping failed:", err.message);
     });
 }
 
 // Start the HTTP server
 server.listen(PORT, () => {
-  console.log(`🌐 HTTP server listening on port ${PORT}`);
-  console.log(`🩺 Health check available at http://localhost:${PORT}/health`);
+  logger.info(`🌐 HTTP server listening on port ${PORT}`);
+  logger.info(`🩺 Health check available at http://localhost:${PORT}/health`);
 
   // Set up keep-alive pinging every 10 minutes (only in production)
+  // Webhook deliveries wake the service up, no pings needed then
   if (
-    process.env.NODE_ENV === "production" ||
-    process.env.RENDER_EXTERNAL_URL
+    !WEBHOOK_MODE &&
+    (process.env.NODE_ENV === "production" || process.env.RENDER_EXTERNAL_URL)
   ) {
-    console.log("🔄 Setting up keep-alive mechanism for Render.com...");
+    logger.info("🔄 Setting up keep-alive mechanism for Render.com...");
     keepAliveInterval = setInterval(keepAlive, 10 * 60 * 1000); // Ping every 10 minutes
 
     // Initial ping after 1 minute
@@ -1349,16 +6923,48 @@ server.listen(PORT, () => {
 
 // Initialize data file and start the bot
 async function startBot() {
-  await initializeDataFile();
-
-  console.log("🤖 Starting Telegram AI Assistant Bot...");
-  console.log(`📱 Model: ${OPENAI_MODEL}`);
-  console.log("🛡️ Anti-spam protection enabled");
-  console.log("👤 User tracking and admin panel enabled");
-  console.log("📊 Statistics tracking enabled");
-
-  bot.start();
-  console.log("✅ Bot is running! Press Ctrl+C to stop.");
+  await initializeStorage();
+  const localeCodes = await loadLocales();
+
+  logger.info("🤖 Starting Telegram AI Assistant Bot...");
+  const primaryModel = resolveCommandModel();
+  logger.info(`📱 Model: ${primaryModel.model} (${primaryModel.provider})`);
+  if (AI_FALLBACK_PROVIDER) {
+    logger.info(
+      `🛟 Fallback: ${AI_PROVIDER_CONFIGS[AI_FALLBACK_PROVIDER].model} (${AI_FALLBACK_PROVIDER})`
+    );
+  }
+  logger.info(`💾 Storage: ${storage.name}`);
+  logger.info(
+    `🌍 Languages: ${localeCodes.join(", ")} (default: ${DEFAULT_LOCALE})`
+  );
+
+  // Digests and group history cleanup
+  await startScheduler();
+  logger.info(
+    isSpeechConfigured()
+      ? `🎙️ Voice messages enabled (${SPEECH_PROVIDER})`
+      : "🎙️ Voice messages disabled (no speech provider configured)"
+  );
+  logger.info("🛡️ Anti-spam protection enabled");
+  logger.info("👤 User tracking and admin panel enabled");
+  logger.info("📊 Statistics tracking enabled");
+
+  if (WEBHOOK_MODE) {
+    await setupWebhook();
+  } else {
+    // Long polling with concurrent update handling. getUpdates fails
+    // while a webhook from webhook mode is still set.
+    await bot.api.deleteWebhook();
+    runner = run(bot);
+  }
+  logger.info("✅ Bot is running! Press Ctrl+C to stop.");
 }
 
-startBot().catch(console.error);
+// A bot that failed to start would only serve the health checks, exit so
+// the process manager restarts it
+startBot().catch(async (error) => {
+  logger.error("Error starting the bot:", error);
+  await flushData();
+  process.exit(1);
+});
@@ -0,0 +1,116 @@
+// Intent detection for smart replies (plain messages without a command).
+// Shared by index.js and the accuracy check in eval/intents.js.
+
+// Intents the LLM classifier chooses from
+export const INTENTS = [
+  "find",
+  "agent",
+  "talk",
+  "translate",
+  "summarize",
+  "improve",
+];
+
+// System prompt of the LLM classifier
+export const INTENT_SYSTEM_PROMPT = `Classify the intent of a message sent to an AI assistant in a chat. Choose exactly one intent:
+- find: a question that needs a short, factual answer
+- agent: a request for help with a task, e.g. a plan, step-by-step instructions, ideas, code or a text to write
+- talk: casual conversation, greetings, thanks, feelings, jokes or small talk
+- translate: translate a text into another language
+- summarize: summarize or shorten a text
+- improve: rewrite a text to fix its grammar, clarity or style
+
+The message can be written in any language. Reply only with JSON like {"intent": "find", "confidence": 0.9}, where confidence (0 to 1) is how sure you are.`;
+
+// Read the classifier's answer. Returns { intent, confidence } or null
+// when the answer is not usable.
+export function parseIntentAnswer(answer) {
+  const json = String(answer).match(/\{[\s\S]*?\}/);
+  if (!json) return null;
+
+  let result;
+  try {
+    result = JSON.parse(json[0]);
+  } catch (error) {
+    return null;
+  }
+
+  const intent = String(result.intent || "").toLowerCase();
+  if (!INTENTS.includes(intent)) return null;
+
+  const confidence = Number(result.confidence);
+  return {
+    intent,
+    confidence: Number.isFinite(confidence)
+      ? Math.min(1, Math.max(0, confidence))
+      : 0,
+  };
+}
+
+// Keyword rules for the response type of a plain message: find, agent
+// or talk. Used unless the LLM classifier is on, and as its fallback.
+export function detectResponseType(text) {
+  const lowerText = text.toLowerCase().trim();
+
+  // Question indicators for /find behavior
+  const questionPatterns = [
+    /\b(how|why|what|when|where|which|who)\b/,
+    /\?/,
+    /\b(explain|define|meaning of|difference between)\b/,
+    /\b(is|are|does|do|can|could|would|will)\s+.+\?/,
+    /\b(tell me about|show me)\b/,
+  ];
+
+  // Instructional/task indicators for /agent behavior
+  const agentPatterns = [
+    /\b(help me|assist me|guide me)\b/,
+    /\b(create|make|build|develop|design)\b/,
+    /\b(plan|strategy|steps|process)\b/,
+    /\b(suggest|recommend|advise)\b/,
+    /\b(solve|fix|improve|optimize)\b/,
+    /\b(prepare|organize|structure)\b/,
+    /\b(add|include|extend|expand)\b/,
+    /\b(teach|learn|study|practice)\b/,
+  ];
+
+  // Casual conversation indicators for /talk behavior
+  const talkPatterns = [
+    /\b(hi|hello|hey|yo|sup|greetings)\b/,
+    /\b(good|great|awesome|nice|cool|amazing)\b/,
+    /\b(thanks|thank you|thx)\b/,
+    /\b(sorry|sad|happy|excited|tired|stressed)\b/,
+    /\b(lol|haha|😄|😂|🤣|😊|😢|😭|🙄)\b/,
+    /\b(joke|funny|boring|interesting)\b/,
+    /\b(not so good|feeling|mood|day going)\b/,
+    /\b(bye|goodbye|see you|later|night)\b/,
+  ];
+
+  // Check for agent patterns first (more specific)
+  for (const pattern of agentPatterns) {
+    if (pattern.test(lowerText)) {
+      return "agent";
+    }
+  }
+
+  // Then check for question patterns
+  for (const pattern of questionPatterns) {
+    if (pattern.test(lowerText)) {
+      return "find";
+    }
+  }
+
+  // Finally check for casual patterns
+  for (const pattern of talkPatterns) {
+    if (pattern.test(lowerText)) {
+      return "talk";
+    }
+  }
+
+  // Default fallback: if text is short and conversational, treat as talk
+  if (lowerText.length < 50 && !lowerText.includes(".")) {
+    return "talk";
+  }
+
+  // If it has multiple sentences or complex structure, treat as find
+  return "find";
+}
@@ -0,0 +1,124 @@
+// Structured JSON logger: one JSON object per line, with the time, level,
+// message and fields. Fields of the current update (correlation id, update,
+// chat and user id) are added from the log context, so everything logged
+// while handling an update can be traced back to it.
+// LOG_LEVEL sets the lowest level written: debug, info (default), warn,
+// error or silent.
+import { AsyncLocalStorage } from "async_hooks";
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Fields whose values are user content or secrets, never written
+const REDACTED_FIELDS = [
+  "text",
+  "caption",
+  "prompt",
+  "content",
+  "messages",
+  "message_text",
+  "query",
+  "token",
+  "apiKey",
+  "secret",
+  "secret_token",
+  "authorization",
+];
+
+// Secrets that can show up inside messages, e.g. in URLs of errors
+const SECRET_PATTERNS = [
+  /\d{6,}:[\w-]{30,}/g, // Telegram bot tokens
+  /sk-[\w-]{20,}/g, // OpenAI and Anthropic API keys
+  /Bearer\s+[\w.-]+/gi,
+];
+
+const logContext = new AsyncLocalStorage();
+
+// Read on every call, .env is loaded after the imports
+function getLogLevel() {
+  const name = (process.env.LOG_LEVEL || "info").toLowerCase();
+  return LOG_LEVELS[name] ?? LOG_LEVELS.info;
+}
+
+function redactString(text) {
+  return SECRET_PATTERNS.reduce(
+    (result, pattern) => result.replace(pattern, "[redacted]"),
+    text
+  );
+}
+
+// Copy a value for the log with user content and secrets redacted
+export function redact(value, depth = 0) {
+  if (typeof value === "string") return redactString(value);
+  if (!value || typeof value !== "object") return value;
+  if (depth > 5) return "[nested]";
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      REDACTED_FIELDS.includes(key) ? "[redacted]" : redact(item, depth + 1),
+    ])
+  );
+}
+
+// Plain object of an error, with the fields of Telegram and AI errors
+function serializeError(error) {
+  const serialized = {
+    name: error.name,
+    message: redactString(error.message || ""),
+    stack: error.stack && redactString(error.stack),
+  };
+  for (const key of ["type", "error_code", "description", "status", "code"]) {
+    if (error[key] !== undefined) serialized[key] = redact(error[key]);
+  }
+  if (error.cause instanceof Error) {
+    serialized.cause = serializeError(error.cause);
+  }
+  return serialized;
+}
+
+// Write one entry. `args` are like console.log's: errors go to the
+// "error" field, objects are merged into the fields and anything else is
+// appended to the message.
+function write(level, message, args) {
+  if (LOG_LEVELS[level] < getLogLevel()) return;
+
+  const fields = {};
+  const parts = [];
+  for (const arg of [message, ...args]) {
+    if (arg instanceof Error) {
+      fields.error = serializeError(arg);
+    } else if (arg && typeof arg === "object") {
+      Object.assign(fields, redact(arg));
+    } else if (arg !== undefined) {
+      parts.push(String(arg));
+    }
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(parts.join(" ").trim()),
+    ...logContext.getStore(),
+    ...fields,
+  };
+  const line = JSON.stringify(entry);
+  if (LOG_LEVELS[level] >= LOG_LEVELS.warn) {
+    process.stderr.write(`${line}\n`);
+  } else {
+    process.stdout.write(`${line}\n`);
+  }
+}
+
+export const logger = {
+  debug: (message, ...args) => write("debug", message, args),
+  info: (message, ...args) => write("info", message, args),
+  warn: (message, ...args) => write("warn", message, args),
+  error: (message, ...args) => write("error", message, args),
+};
+
+// Run `fn` with extra fields added to every entry logged inside it,
+// including in the async work it starts
+export function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}